@@ -0,0 +1,270 @@
+// =========================================================
+// ARBITER - Server-side winner selection for competing cards
+// =========================================================
+// Scores each CardSpec against the packet (desire vector, phase,
+// fatigue, mode, time of day), ranks the envelope best-first and
+// picks a winner with a pluggable strategy
+// =========================================================
+
+const { DESIRE_LABELS } = require('./signalpacket');
+const { createRandom } = require('./webscout');
+
+// =========================================================
+// SCORING TABLES
+// =========================================================
+
+// How strongly each class serves each desire [ORI, CONN, COMP, MEAN, REG]
+const CLASS_DESIRE_AFFINITY = {
+  sig_sum:      [0.40, 0.10, 0.30, 0.10, 0.10],
+  flow_next:    [0.10, 0.10, 0.60, 0.10, 0.10],
+  calm_reset:   [0.05, 0.10, 0.05, 0.20, 0.60],
+  anomaly:      [0.60, 0.05, 0.25, 0.05, 0.05],
+  culture_lens: [0.10, 0.30, 0.05, 0.50, 0.05]
+};
+
+// Phase fit 0–1: hook grabs attention, lock-in builds momentum,
+// reinforce adds depth, release winds the session down
+const PHASE_AFFINITY = {
+  hook: { sig_sum: 0.8, flow_next: 0.3, calm_reset: 0.2, anomaly: 0.9, culture_lens: 0.5 },
+  lock: { sig_sum: 0.7, flow_next: 0.9, calm_reset: 0.3, anomaly: 0.6, culture_lens: 0.4 },
+  rein: { sig_sum: 0.5, flow_next: 0.7, calm_reset: 0.4, anomaly: 0.4, culture_lens: 0.9 },
+  rel:  { sig_sum: 0.3, flow_next: 0.5, calm_reset: 0.9, anomaly: 0.2, culture_lens: 0.6 }
+};
+
+// Time-of-day fit 0–1 (ctx.tod); unknown values score neutral
+const TIME_AFFINITY = {
+  morning:   { sig_sum: 0.9, flow_next: 0.8, calm_reset: 0.3, anomaly: 0.6, culture_lens: 0.4 },
+  afternoon: { sig_sum: 0.6, flow_next: 0.8, calm_reset: 0.4, anomaly: 0.6, culture_lens: 0.5 },
+  evening:   { sig_sum: 0.5, flow_next: 0.4, calm_reset: 0.7, anomaly: 0.4, culture_lens: 0.8 },
+  night:     { sig_sum: 0.3, flow_next: 0.2, calm_reset: 0.9, anomaly: 0.3, culture_lens: 0.7 }
+};
+
+// Mode fit 0–1 (packet.m); unknown modes score neutral
+const MODE_AFFINITY = {
+  sync:    { sig_sum: 0.8, flow_next: 0.6, calm_reset: 0.5, anomaly: 0.6, culture_lens: 0.5 },
+  focus:   { sig_sum: 0.6, flow_next: 0.9, calm_reset: 0.4, anomaly: 0.3, culture_lens: 0.3 },
+  calm:    { sig_sum: 0.3, flow_next: 0.3, calm_reset: 0.9, anomaly: 0.2, culture_lens: 0.7 },
+  explore: { sig_sum: 0.5, flow_next: 0.3, calm_reset: 0.3, anomaly: 0.8, culture_lens: 0.9 }
+};
+
+const NEUTRAL_AFFINITY = 0.5;
+
+// Component weights (sum to 1); fatigue is applied on top as a penalty
+const SCORE_WEIGHTS = {
+  desire: 0.40,
+  phase: 0.25,
+  time: 0.10,
+  mode: 0.10,
+  content: 0.15
+};
+
+// Full fatigue (1.0) removes this share of a card's score
+const FATIGUE_PENALTY = 0.6;
+
+// =========================================================
+// STRATEGY SETTINGS
+// =========================================================
+
+// ARBITER_STRATEGY is checked against the registry once the built-ins are registered
+const FALLBACK_STRATEGY = 'heuristic';
+
+const epsilonOverride = parseFloat(process.env.ARBITER_EPSILON);
+const DEFAULT_EPSILON = Number.isFinite(epsilonOverride) ? Math.min(1, Math.max(0, epsilonOverride)) : 0.1;
+
+// Thompson sampling treats a heuristic score as this many pseudo-observations
+const THOMPSON_PRIOR_STRENGTH = 10;
+
+// =========================================================
+// SCORING
+// =========================================================
+
+/**
+ * Score one CardSpec against a packet
+ * @param {Object} spec - Sanitized CardSpec
+ * @param {Object} packet - Validated SignalPacket
+ * @returns {number} 0–1
+ */
+function scoreCard(spec, packet) {
+  const k = spec.k;
+  
+  const parts = {
+    desire: desireFit(k, packet.d),
+    phase: PHASE_AFFINITY[packet.ph]?.[k] ?? NEUTRAL_AFFINITY,
+    time: TIME_AFFINITY[timeBucket(packet.ctx?.tod)]?.[k] ?? NEUTRAL_AFFINITY,
+    mode: MODE_AFFINITY[String(packet.m || '').toLowerCase()]?.[k] ?? NEUTRAL_AFFINITY,
+    content: contentFit(spec)
+  };
+  
+  const base = Object.entries(SCORE_WEIGHTS).reduce((sum, [part, weight]) => sum + weight * parts[part], 0);
+  const fatigue = packet.fat?.[k] || 0;
+  
+  return round(base * (1 - FATIGUE_PENALTY * fatigue));
+}
+
+// Desire fit: affinity-weighted desire, scaled so a perfect match scores 1
+function desireFit(k, d) {
+  const affinity = CLASS_DESIRE_AFFINITY[k];
+  if (!affinity || !Array.isArray(d) || d.length !== DESIRE_LABELS.length) return NEUTRAL_AFFINITY;
+  
+  const fit = d.reduce((sum, p, i) => sum + p * affinity[i], 0);
+  return Math.min(1, fit / Math.max(...affinity));
+}
+
+// Content fit: cards with an image, stats and badges render richer
+function contentFit(spec) {
+  let fit = 0;
+  if (spec.img) fit += 0.5;
+  if (Array.isArray(spec.st) && spec.st.length > 0) fit += 0.25;
+  if (Array.isArray(spec.bg) && spec.bg.length > 0) fit += 0.25;
+  return fit;
+}
+
+// Map free-form ctx.tod ("evening", "late night", "7am") onto a TIME_AFFINITY bucket
+function timeBucket(tod) {
+  const lower = String(tod || '').toLowerCase();
+  if (lower.includes('night') || lower.includes('late')) return 'night';
+  return Object.keys(TIME_AFFINITY).find(bucket => lower.includes(bucket)) || null;
+}
+
+// =========================================================
+// STRATEGY REGISTRY
+// =========================================================
+// A strategy picks the winner from cards ranked best-first:
+//   choose(ranked: [{ spec, score }], { random, epsilon, packet }) -> index into ranked
+
+const strategyRegistry = new Map();
+
+function registerStrategy(name, choose) {
+  strategyRegistry.set(name, choose);
+}
+
+function listStrategies() {
+  return Array.from(strategyRegistry.keys());
+}
+
+function hasStrategy(name) {
+  return strategyRegistry.has(name);
+}
+
+// Always the top-scoring card
+registerStrategy('heuristic', () => 0);
+
+// Top-scoring card, except a uniformly random card with probability epsilon
+registerStrategy('epsilon_greedy', (ranked, { random, epsilon }) => {
+  if (random() < epsilon) return Math.floor(random() * ranked.length);
+  return 0;
+});
+
+// Sample each card's reward from Beta(score prior) and take the best draw
+registerStrategy('thompson', (ranked, { random }) => {
+  const draws = ranked.map(({ score }) => sampleBeta(
+    1 + score * THOMPSON_PRIOR_STRENGTH,
+    1 + (1 - score) * THOMPSON_PRIOR_STRENGTH,
+    random
+  ));
+  return draws.indexOf(Math.max(...draws));
+});
+
+// A typo in ARBITER_STRATEGY would otherwise turn every competing-cards call into a 400
+const DEFAULT_STRATEGY = resolveDefaultStrategy(process.env.ARBITER_STRATEGY);
+
+function resolveDefaultStrategy(name) {
+  if (!name) return FALLBACK_STRATEGY;
+  if (hasStrategy(name)) return name;
+  
+  console.warn(`⚠️ Unknown ARBITER_STRATEGY "${name}" (expected one of: ${listStrategies().join(', ')}), using ${FALLBACK_STRATEGY}`);
+  return FALLBACK_STRATEGY;
+}
+
+// =========================================================
+// ARBITRATION
+// =========================================================
+
+/**
+ * Rank a CardsEnvelope and pick a winner
+ * @param {{v: number, t: string, c: Object[]}} envelope
+ * @param {Object} packet - Validated SignalPacket
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - Registered strategy name (default ARBITER_STRATEGY or 'heuristic')
+ * @param {number} [options.epsilon] - Exploration rate for epsilon_greedy
+ * @param {string} [options.seed] - Makes exploratory strategies reproducible
+ * @returns {Object} Envelope with c ranked best-first and arb: { strategy, scores, w }
+ */
+function arbitrate(envelope, packet, { strategy = DEFAULT_STRATEGY, epsilon = DEFAULT_EPSILON, seed } = {}) {
+  const choose = strategyRegistry.get(strategy);
+  if (!choose) throw new Error(`Unknown arbiter strategy: ${strategy}`);
+  
+  const ranked = envelope.c
+    .map(spec => ({ spec, score: scoreCard(spec, packet) }))
+    .sort((a, b) => b.score - a.score);
+  
+  const random = seed !== undefined ? createRandom(seed) : Math.random;
+  const w = choose(ranked, { random, epsilon, packet });
+  
+  return {
+    ...envelope,
+    c: ranked.map(entry => entry.spec),
+    arb: {
+      strategy,
+      scores: ranked.map(entry => entry.score),
+      w
+    }
+  };
+}
+
+// =========================================================
+// HELPER FUNCTIONS
+// =========================================================
+
+// Beta(a, b) via two gamma draws
+function sampleBeta(a, b, random) {
+  const x = sampleGamma(a, random);
+  const y = sampleGamma(b, random);
+  return x / (x + y);
+}
+
+// Marsaglia–Tsang gamma sampler (shape >= 1, which Beta(1 + ...) always is)
+function sampleGamma(shape, random) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  
+  while (true) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x ** 4) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+// Box–Muller standard normal
+function sampleNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  DEFAULT_EPSILON,
+  scoreCard,
+  arbitrate,
+  registerStrategy,
+  listStrategies,
+  hasStrategy,
+  sampleBeta
+};
@@ -0,0 +1,306 @@
+// =========================================================
+// AUTH - App API keys, signed device tokens, admin token
+// =========================================================
+// Apps call /api/* with an API key (X-API-Key) or a device token
+// (X-Device-Token) minted for one device from an API key. Keys live
+// in a local JSON store managed by scripts/keys.js; only their
+// SHA-256 hashes are stored. Device tokens are HMAC-signed, expire,
+// and die with the key that minted them. Admin endpoints keep
+// their own ADMIN_TOKEN bearer check
+// =========================================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// =========================================================
+// CONSTANTS
+// =========================================================
+
+const AUTH_KEYS_PATH = process.env.AUTH_KEYS_PATH || path.join(__dirname, 'data', 'api-keys.json');
+
+// 'enforce' (default) or 'off' (local development: every request passes)
+const AUTH_MODE = process.env.AUTH_MODE === 'off' ? 'off' : 'enforce';
+
+const DEVICE_TOKEN_SECRET = process.env.DEVICE_TOKEN_SECRET || null;
+const DEVICE_TOKEN_TTL_SEC = parseInt(process.env.DEVICE_TOKEN_TTL_SEC) || 30 * 24 * 60 * 60;
+const DEVICE_TOKEN_VERSION = 'v1';
+
+// Device ids go inside tokens; keep them to a separator-free charset
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+const API_KEY_PREFIX = 'as_';
+
+/**
+ * @typedef {Object} ApiKeyRecord
+ * @property {string} id - Public key id (8 hex chars)
+ * @property {string} name - Who the key was issued to
+ * @property {string} hash - SHA-256 hex of the full key
+ * @property {string} created - ISO timestamp
+ * @property {string|null} revoked - ISO timestamp once revoked
+ */
+
+/**
+ * @typedef {Object} AuthClient
+ * Set as req.client once a request is authenticated
+ * @property {'key'|'device'|'anonymous'} kind - anonymous only when AUTH_MODE=off
+ * @property {string} [keyId]
+ * @property {string} [deviceId]
+ */
+
+// =========================================================
+// KEY STORE
+// =========================================================
+// Read on first use and re-read whenever the file changes, so keys
+// created or revoked by the CLI apply without a restart
+
+let keyCache = { mtimeMs: -1, records: [] };
+
+/**
+ * All key records (revoked included)
+ * @returns {ApiKeyRecord[]}
+ */
+function loadKeys() {
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(AUTH_KEYS_PATH).mtimeMs;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`⚠️ API key store unreadable (${error.message})`);
+    keyCache = { mtimeMs: -1, records: [] };
+    return keyCache.records;
+  }
+  
+  if (mtimeMs !== keyCache.mtimeMs) {
+    try {
+      const records = JSON.parse(fs.readFileSync(AUTH_KEYS_PATH, 'utf8')).keys;
+      keyCache = { mtimeMs, records: Array.isArray(records) ? records : [] };
+    } catch (error) {
+      // Keep serving the last good copy rather than locking every client out
+      console.warn(`⚠️ API key store invalid (${error.message}), keeping previous keys`);
+    }
+  }
+  
+  return keyCache.records;
+}
+
+function saveKeys(records) {
+  fs.mkdirSync(path.dirname(AUTH_KEYS_PATH), { recursive: true });
+  const tmp = `${AUTH_KEYS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ v: 1, keys: records }, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, AUTH_KEYS_PATH);
+  
+  // Same-tick writes can share an mtime; don't wait for a change loadKeys might miss
+  keyCache = { mtimeMs: fs.statSync(AUTH_KEYS_PATH).mtimeMs, records };
+}
+
+/**
+ * Issue a new API key. The full key is returned once and never stored.
+ * @param {string} name
+ * @returns {{key: string, record: ApiKeyRecord}}
+ */
+function createKey(name) {
+  const records = loadKeys();
+  
+  let id;
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (records.some(record => record.id === id));
+  
+  const key = `${API_KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = { id, name, hash: sha256(key), created: new Date().toISOString(), revoked: null };
+  
+  saveKeys([...records, record]);
+  return { key, record };
+}
+
+/**
+ * Revoke a key by id; its device tokens stop verifying too
+ * @returns {ApiKeyRecord|null} null if no such key
+ */
+function revokeKey(id) {
+  const records = loadKeys();
+  const record = records.find(r => r.id === id);
+  if (!record) return null;
+  
+  if (!record.revoked) {
+    record.revoked = new Date().toISOString();
+    saveKeys(records);
+  }
+  return record;
+}
+
+function listKeys() {
+  return loadKeys().map(({ id, name, created, revoked }) => ({ id, name, created, revoked }));
+}
+
+// Active record for a presented key, or null
+function findActiveKey(key) {
+  const hash = sha256(key);
+  return loadKeys().find(record => !record.revoked && safeEqual(record.hash, hash)) || null;
+}
+
+function findActiveKeyById(id) {
+  return loadKeys().find(record => record.id === id && !record.revoked) || null;
+}
+
+// =========================================================
+// DEVICE TOKENS
+// =========================================================
+// v1.<key id>.<device id>.<expiry epoch s>.<HMAC-SHA256 base64url>
+
+function deviceTokensEnabled() {
+  return Boolean(DEVICE_TOKEN_SECRET);
+}
+
+/**
+ * Mint a device token for a device under an API key
+ * @param {string} keyId
+ * @param {string} deviceId - Must match DEVICE_ID_PATTERN
+ * @returns {{token: string, exp: number}} exp in epoch seconds
+ */
+function signDeviceToken(keyId, deviceId) {
+  if (!deviceTokensEnabled()) throw new Error('DEVICE_TOKEN_SECRET is not set');
+  if (!DEVICE_ID_PATTERN.test(deviceId)) throw new Error('Invalid device id');
+  
+  const exp = Math.floor(Date.now() / 1000) + DEVICE_TOKEN_TTL_SEC;
+  const payload = `${DEVICE_TOKEN_VERSION}.${keyId}.${deviceId}.${exp}`;
+  return { token: `${payload}.${hmac(payload)}`, exp };
+}
+
+/**
+ * Verify a device token
+ * @returns {{keyId: string, deviceId: string}|{error: string}}
+ */
+function verifyDeviceToken(token) {
+  if (!deviceTokensEnabled()) return { error: 'device tokens are disabled' };
+  
+  const parts = String(token).split('.');
+  if (parts.length !== 5 || parts[0] !== DEVICE_TOKEN_VERSION) return { error: 'malformed device token' };
+  
+  const [, keyId, deviceId, exp, signature] = parts;
+  if (!safeEqual(signature, hmac(parts.slice(0, 4).join('.')))) return { error: 'invalid device token signature' };
+  if (!(parseInt(exp) > Date.now() / 1000)) return { error: 'device token expired' };
+  if (!findActiveKeyById(keyId)) return { error: 'device token key revoked' };
+  
+  return { keyId, deviceId };
+}
+
+// =========================================================
+// MIDDLEWARE
+// =========================================================
+
+/**
+ * Authenticate an /api/* request; sets req.client (AuthClient).
+ * Mount on /api; admin routes (/api/admin/*) are left to requireAdmin.
+ */
+function authenticate(req, res, next) {
+  if (req.path.startsWith('/admin/')) return next();
+  
+  const apiKey = req.get('x-api-key');
+  const deviceToken = req.get('x-device-token');
+  
+  if (AUTH_MODE === 'off') {
+    req.client = { kind: 'anonymous' };
+    return next();
+  }
+  
+  if (apiKey) {
+    const record = findActiveKey(apiKey);
+    if (!record) return unauthorized(res, 'Invalid or revoked API key');
+    req.client = { kind: 'key', keyId: record.id };
+    return next();
+  }
+  
+  if (deviceToken) {
+    const verified = verifyDeviceToken(deviceToken);
+    if (verified.error) return unauthorized(res, `Invalid device token: ${verified.error}`);
+    req.client = { kind: 'device', keyId: verified.keyId, deviceId: verified.deviceId };
+    return next();
+  }
+  
+  return unauthorized(res, 'Send an API key (X-API-Key) or a device token (X-Device-Token)');
+}
+
+// Only API-key clients may mint device tokens
+function requireApiKey(req, res, next) {
+  if (req.client?.kind !== 'key') {
+    return res.status(403).json({ error: 'Forbidden', message: 'This endpoint requires an API key' });
+  }
+  next();
+}
+
+/**
+ * Require ADMIN_TOKEN as a bearer token; admin is disabled when unset
+ */
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(403).json({ error: 'Admin disabled', message: 'Set ADMIN_TOKEN to enable admin endpoints' });
+  }
+  
+  const given = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!safeEqual(sha256(given), sha256(expected))) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid admin token' });
+  }
+  
+  next();
+}
+
+/**
+ * Guard for GET /metrics: bearer METRICS_TOKEN when set, open otherwise
+ * (for scrapers on a private network)
+ */
+function requireMetricsToken(req, res, next) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return next();
+  
+  const given = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!safeEqual(sha256(given), sha256(expected))) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid metrics token' });
+  }
+  
+  next();
+}
+
+function unauthorized(res, message) {
+  return res.status(401).json({ error: 'Unauthorized', message });
+}
+
+// =========================================================
+// HELPER FUNCTIONS
+// =========================================================
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function hmac(payload) {
+  return crypto.createHmac('sha256', DEVICE_TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  AUTH_MODE,
+  AUTH_KEYS_PATH,
+  DEVICE_ID_PATTERN,
+  createKey,
+  revokeKey,
+  listKeys,
+  deviceTokensEnabled,
+  signDeviceToken,
+  verifyDeviceToken,
+  authenticate,
+  requireApiKey,
+  requireAdmin,
+  requireMetricsToken
+};
@@ -0,0 +1,216 @@
+// =========================================================
+// CARD CACHE - Reuse model cards for near-identical packets
+// =========================================================
+// Packets that differ only in noise (desire 0.31 vs 0.29, a new
+// scroll level) would each cost a Claude call. Model output is
+// cached under a canonical, bucketed form of the packet: same
+// desire buckets, phase, mode, time of day, classes, limits,
+// locale and candidate ids -> same key
+// =========================================================
+
+const crypto = require('crypto');
+
+// =========================================================
+// CONSTANTS
+// =========================================================
+
+// 0 disables the cache: nothing is stored and every request reads as a bypass
+const ttlOverride = parseInt(process.env.CARD_CACHE_TTL_SEC);
+const CARD_CACHE_TTL_SEC = Number.isFinite(ttlOverride) ? Math.max(0, ttlOverride) : 10 * 60;
+const CARD_CACHE_ENABLED = CARD_CACHE_TTL_SEC > 0;
+const CARD_CACHE_MAX_ENTRIES = parseInt(process.env.CARD_CACHE_MAX_ENTRIES) || 1000;
+
+// Bucket width for desire probabilities, fatigue and scroll level
+const CARD_CACHE_BUCKET = parseFloat(process.env.CARD_CACHE_BUCKET) || 0.1;
+
+// Bumped when the key shape changes so old entries stop matching
+const KEY_VERSION = 1;
+
+/**
+ * @typedef {Object} CardCacheStore
+ * Pluggable backend (in-memory by default; swap in Redis etc. via setCardCacheStore)
+ * @property {function(string): Promise<CachedCards|undefined>} get
+ * @property {function(string, CachedCards, number): Promise<void>} set - key, entry, ttl in ms
+ * @property {function(): Promise<void>} [clear]
+ */
+
+/**
+ * @typedef {Object} CachedCards
+ * @property {Object} value - CardSpec or CardsEnvelope as generated
+ * @property {string} gen - model|repaired
+ * @property {number} at - Epoch ms when stored
+ */
+
+// =========================================================
+// KEYS
+// =========================================================
+
+/**
+ * Cache key for a packet on an endpoint
+ * @param {string} endpoint - e.g. 'artifact-card', 'competing-cards'
+ * @param {Object} packet - Validated SignalPacket (locale already resolved)
+ * @returns {string} sha256 hex
+ */
+function cardCacheKey(endpoint, packet) {
+  const canonical = JSON.stringify([KEY_VERSION, endpoint, canonicalPacket(packet)]);
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Canonical, bucketed form of a packet: only what shapes the cards,
+ * with sets sorted and continuous values snapped to buckets
+ */
+function canonicalPacket(packet) {
+  const c = packet.c || {};
+  
+  return {
+    v: packet.v,
+    d: (packet.d || []).map(bucket),
+    m: String(packet.m || '').toLowerCase(),
+    ph: packet.ph || null,
+    tod: String(packet.ctx?.tod || '').trim().toLowerCase(),
+    sl: bucket(packet.ctx?.sl || 0),
+    fat: Object.keys(packet.fat || {}).sort()
+      .map(k => [k, bucket(packet.fat[k])])
+      .filter(([, value]) => value > 0),
+    cls: packet.cls ? [...new Set(packet.cls)].sort() : null,
+    lim: packet.lim ? [packet.lim.ttl, packet.lim.sub, packet.lim.qt, packet.lim.st, packet.lim.bg] : null,
+    loc: packet.loc || null,
+    img: ids(c.img),
+    fin: ids(c.fin),
+    tag: [...new Set(c.tag || [])].sort()
+  };
+}
+
+function bucket(value) {
+  return Math.round(value / CARD_CACHE_BUCKET);
+}
+
+function ids(candidates) {
+  return (candidates || []).map(candidate => candidate.id).sort();
+}
+
+// =========================================================
+// STORES
+// =========================================================
+
+/**
+ * In-memory store; evicts the oldest entry once full
+ * @param {number} [maxEntries]
+ * @returns {CardCacheStore}
+ */
+function createMemoryStore(maxEntries = CARD_CACHE_MAX_ENTRIES) {
+  const entries = new Map(); // key -> { entry, expiresAt }
+  
+  return {
+    async get(key) {
+      const hit = entries.get(key);
+      if (!hit) return undefined;
+      if (hit.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return hit.entry;
+    },
+    async set(key, entry, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Replace the cache backend
+ * @param {CardCacheStore} next
+ */
+function setCardCacheStore(next) {
+  if (!next || typeof next.get !== 'function' || typeof next.set !== 'function') {
+    throw new Error('Card cache store must implement get(key) and set(key, entry, ttlMs)');
+  }
+  store = next;
+}
+
+// =========================================================
+// LOOKUP
+// =========================================================
+// Store failures never fail a request: a broken backend reads as a miss
+
+const stats = { hits: 0, misses: 0, bypassed: 0, stored: 0, errors: 0 };
+
+/**
+ * Look up cached cards
+ * @returns {Promise<{value: Object, gen: string, age: number}|null>} age in seconds
+ */
+async function getCachedCards(key) {
+  try {
+    const entry = await store.get(key);
+    if (entry) {
+      stats.hits++;
+      return { value: structuredClone(entry.value), gen: entry.gen, age: Math.round((Date.now() - entry.at) / 1000) };
+    }
+  } catch (error) {
+    stats.errors++;
+    console.warn(`⚠️ Card cache read failed: ${error.message}`);
+  }
+  
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Cache freshly generated cards. Only model output is worth caching;
+ * template and fallback cards are cheap and must not outlive an outage.
+ */
+async function storeCachedCards(key, value, gen) {
+  if (!CARD_CACHE_ENABLED || !value || (gen !== 'model' && gen !== 'repaired')) return;
+  
+  try {
+    await store.set(key, { value: structuredClone(value), gen, at: Date.now() }, CARD_CACHE_TTL_SEC * 1000);
+    stats.stored++;
+  } catch (error) {
+    stats.errors++;
+    console.warn(`⚠️ Card cache write failed: ${error.message}`);
+  }
+}
+
+// A request that skipped the cache (e.g. template composer)
+function recordBypass() {
+  stats.bypassed++;
+}
+
+/**
+ * Counters for measuring savings (hit rate = hits / (hits + misses))
+ */
+function getCardCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+    ttl: CARD_CACHE_TTL_SEC,
+    enabled: CARD_CACHE_ENABLED
+  };
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  CARD_CACHE_TTL_SEC,
+  CARD_CACHE_ENABLED,
+  cardCacheKey,
+  createMemoryStore,
+  setCardCacheStore,
+  getCachedCards,
+  storeCachedCards,
+  recordBypass,
+  getCardCacheStats
+};
@@ -0,0 +1,402 @@
+// =========================================================
+// CARDSPEC - Output Schema & Validation
+// =========================================================
+// Checks what the model returned against the SignalPacket it was
+// given: every image, stat and source must trace back to a packet
+// candidate. Errors use the same { path, message } shape as
+// signalpacket.js so they can be fed back to the model verbatim
+// =========================================================
+
+const { CARD_CLASSES, validateList, isObject, isNonEmptyString } = require('./signalpacket');
+
+// =========================================================
+// SCHEMA CONSTANTS
+// =========================================================
+
+// Badge icons the app can render
+const CARD_ICONS = ['bolt', 'wave', 'target', 'sun', 'moon', 'star', 'chart', 'shield', 'leaf'];
+
+const STAT_DIRECTIONS = ['up', 'dn', 'flat'];
+
+// src[].r -> packet.c list it must resolve against
+const SOURCE_ROLES = {
+  img: 'img',
+  fin: 'fin',
+  news: 'lnk'
+};
+
+// Classes whose stats may be action-like (time/steps) rather than packet.c.fin
+const FREEFORM_STAT_CLASSES = ['flow_next'];
+
+/**
+ * @typedef {Object} CardSpec
+ * @property {number} v - Always 1
+ * @property {string} t - Always 'card'
+ * @property {string} k - Card class (CARD_CLASSES)
+ * @property {string} ttl - Title
+ * @property {string} [sub] - Subline
+ * @property {Object|null} img - Image ref; img.id must be a packet.c.img id
+ * @property {Array<{l: string, v: string, d: string, n: string|null}>} st - Stats
+ * @property {string} qt - Quote
+ * @property {string} by - Byline
+ * @property {Array<{i: string, t: string}>} bg - Badges
+ * @property {Array<{r: string, id: string}>} src - Provenance refs
+ */
+
+// =========================================================
+// VALIDATION
+// =========================================================
+
+/**
+ * Validate a single CardSpec against the packet it was generated from
+ * @param {*} spec
+ * @param {Object} packet - Validated SignalPacket
+ * @param {Object} [options]
+ * @param {string} [options.path] - Prefix for error paths (e.g. "c[1]")
+ * @param {string[]} [options.classes] - Allowed classes (defaults to all CARD_CLASSES)
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+function validateCardSpec(spec, packet, { path = '', classes = CARD_CLASSES } = {}) {
+  const errors = [];
+  const at = field => (path ? `${path}.${field}` : field);
+  const fail = (field, message) => errors.push({ path: at(field), message });
+  const failAt = (itemPath, message) => errors.push({ path: itemPath, message });
+  
+  if (!isObject(spec)) {
+    errors.push({ path, message: 'must be a CardSpec object' });
+    return errors;
+  }
+  
+  if (!classes.includes(spec.k)) fail('k', `must be one of: ${classes.join(', ')}`);
+  if (!isNonEmptyString(spec.ttl)) fail('ttl', 'must be a non-empty string');
+  if (spec.sub !== undefined && spec.sub !== null && typeof spec.sub !== 'string') fail('sub', 'must be a string');
+  if (!isNonEmptyString(spec.qt)) fail('qt', 'must be a non-empty string');
+  
+  // Image must be one of the packet's image candidates
+  const imgIds = idsOf(packet.c?.img);
+  if (spec.img !== null && spec.img !== undefined) {
+    if (!isObject(spec.img)) fail('img', 'must be an object or null');
+    else if (!imgIds.includes(spec.img.id)) fail('img.id', 'must reference a packet.c.img candidate id');
+  }
+  
+  // Stats come from packet.c.fin (by symbol), except for action-like classes
+  const finSymbols = (packet.c?.fin || []).map(fin => String(fin.sym).toLowerCase());
+  validateList(spec.st, at('st'), (stat, statPath) => {
+    if (!isObject(stat)) return failAt(statPath, 'must be an object');
+    if (!isNonEmptyString(stat.l)) {
+      failAt(`${statPath}.l`, 'must be a non-empty string');
+    } else if (!FREEFORM_STAT_CLASSES.includes(spec.k) && !finSymbols.includes(stat.l.toLowerCase())) {
+      failAt(`${statPath}.l`, 'must be a packet.c.fin symbol');
+    }
+    if (stat.v === undefined || stat.v === null || stat.v === '') {
+      failAt(`${statPath}.v`, 'is required');
+    }
+    if (!STAT_DIRECTIONS.includes(stat.d)) {
+      failAt(`${statPath}.d`, `must be one of: ${STAT_DIRECTIONS.join(', ')}`);
+    }
+  }, failAt, { nullable: true });
+  
+  // Badges use the fixed icon set
+  validateList(spec.bg, at('bg'), (badge, badgePath) => {
+    if (!isObject(badge)) return failAt(badgePath, 'must be an object');
+    if (!CARD_ICONS.includes(badge.i)) {
+      failAt(`${badgePath}.i`, `must be one of: ${CARD_ICONS.join(', ')}`);
+    }
+    if (!isNonEmptyString(badge.t)) failAt(`${badgePath}.t`, 'must be a non-empty string');
+  }, failAt, { nullable: true });
+  
+  // Provenance refs must resolve to packet candidates
+  validateList(spec.src, at('src'), (ref, refPath) => {
+    if (!isObject(ref)) return failAt(refPath, 'must be an object');
+    const list = SOURCE_ROLES[ref.r];
+    if (!list) {
+      failAt(`${refPath}.r`, `must be one of: ${Object.keys(SOURCE_ROLES).join(', ')}`);
+    } else if (!idsOf(packet.c?.[list]).includes(ref.id)) {
+      failAt(`${refPath}.id`, `must reference a packet.c.${list} candidate id`);
+    }
+  }, failAt, { nullable: true });
+  
+  return errors;
+}
+
+/**
+ * Validate a competing-cards envelope: exactly 2 cards, distinct classes from packet.cls
+ * @param {*} envelope
+ * @param {Object} packet - Validated SignalPacket
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+function validateCardsEnvelope(envelope, packet) {
+  const errors = [];
+  
+  if (!isObject(envelope)) {
+    errors.push({ path: '', message: 'must be a CardsEnvelope object' });
+    return errors;
+  }
+  
+  if (envelope.v !== 1) errors.push({ path: 'v', message: 'must be 1' });
+  if (envelope.t !== 'cards') errors.push({ path: 't', message: 'must be "cards"' });
+  
+  if (!Array.isArray(envelope.c) || envelope.c.length !== 2) {
+    errors.push({ path: 'c', message: 'must be an array of exactly 2 CardSpecs' });
+    return errors;
+  }
+  
+  envelope.c.forEach((spec, i) => {
+    errors.push(...validateCardSpec(spec, packet, { path: `c[${i}]`, classes: packet.cls }));
+  });
+  
+  if (envelope.c[0]?.k === envelope.c[1]?.k) {
+    errors.push({ path: 'c[1].k', message: 'must differ from c[0].k' });
+  }
+  
+  return errors;
+}
+
+// =========================================================
+// TOOL SCHEMAS (Claude tool use)
+// =========================================================
+// JSON schemas for the emit_card / emit_cards tools; enums are
+// narrowed to the packet so the model can only pick real ids
+
+/**
+ * JSON schema for one CardSpec, narrowed to a packet
+ * @param {Object} packet - Validated SignalPacket
+ * @param {string[]} [classes] - Allowed card classes
+ */
+function cardJsonSchema(packet, classes = CARD_CLASSES) {
+  // Enum values must be unique; a packet may repeat a candidate or share an id across lists
+  const imgIds = [...new Set(idsOf(packet.c?.img))];
+  const refIds = [...new Set(Object.values(SOURCE_ROLES).flatMap(list => idsOf(packet.c?.[list])))];
+  
+  return {
+    type: 'object',
+    properties: {
+      v: { type: 'integer', enum: [1] },
+      t: { type: 'string', enum: ['card'] },
+      k: { type: 'string', enum: classes },
+      ttl: { type: 'string', maxLength: packet.lim.ttl },
+      sub: { type: 'string', maxLength: packet.lim.sub },
+      img: imgIds.length > 0 ? {
+        type: ['object', 'null'],
+        properties: {
+          id: { type: 'string', enum: imgIds },
+          cap: { type: 'string', description: '1-line image description, under 80 chars' }
+        },
+        required: ['id', 'cap']
+      } : { type: 'null' },
+      st: {
+        type: 'array',
+        maxItems: packet.lim.st,
+        items: {
+          type: 'object',
+          properties: {
+            l: { type: 'string' },
+            v: { type: 'string' },
+            d: { type: 'string', enum: STAT_DIRECTIONS },
+            n: { type: ['string', 'null'] }
+          },
+          required: ['l', 'v', 'd']
+        }
+      },
+      qt: { type: 'string', maxLength: packet.lim.qt },
+      by: { type: 'string' },
+      bg: {
+        type: 'array',
+        maxItems: packet.lim.bg,
+        items: {
+          type: 'object',
+          properties: {
+            i: { type: 'string', enum: CARD_ICONS },
+            t: { type: 'string' }
+          },
+          required: ['i', 't']
+        }
+      },
+      src: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            r: { type: 'string', enum: Object.keys(SOURCE_ROLES) },
+            id: refIds.length > 0 ? { type: 'string', enum: refIds } : { type: 'string' }
+          },
+          required: ['r', 'id']
+        }
+      }
+    },
+    required: ['v', 't', 'k', 'ttl', 'sub', 'img', 'st', 'qt', 'by', 'bg', 'src']
+  };
+}
+
+/**
+ * emit_card tool: a single CardSpec
+ * @param {Object} packet - Validated SignalPacket
+ */
+function emitCardTool(packet) {
+  return {
+    name: 'emit_card',
+    description: 'Emit the composed CardSpec. Use only ids present in the SignalPacket.',
+    input_schema: cardJsonSchema(packet)
+  };
+}
+
+/**
+ * emit_cards tool: a CardsEnvelope of exactly 2 CardSpecs with different classes from packet.cls
+ * @param {Object} packet - Validated SignalPacket
+ */
+function emitCardsTool(packet) {
+  return {
+    name: 'emit_cards',
+    description: 'Emit exactly 2 competing CardSpecs with different classes. Use only ids present in the SignalPacket.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        v: { type: 'integer', enum: [1] },
+        t: { type: 'string', enum: ['cards'] },
+        c: {
+          type: 'array',
+          minItems: 2,
+          maxItems: 2,
+          items: cardJsonSchema(packet, packet.cls)
+        }
+      },
+      required: ['v', 't', 'c']
+    }
+  };
+}
+
+/**
+ * emit_batch tool: one CardSpec per batch slot, in slot order. Slots may
+ * carry different packets, so enums cover the union of their candidates
+ * and each card is re-validated against its own slot packet. Slots sharing a
+ * packet ({packet, n}) list each candidate once
+ * @param {Object[]} packets - Validated SignalPacket per slot
+ */
+function emitBatchTool(packets) {
+  const union = {
+    c: {
+      img: uniqueById(packets.flatMap(packet => packet.c?.img || [])),
+      fin: uniqueById(packets.flatMap(packet => packet.c?.fin || [])),
+      lnk: uniqueById(packets.flatMap(packet => packet.c?.lnk || []))
+    },
+    lim: Object.fromEntries(Object.keys(packets[0].lim).map(field => [field, Math.max(...packets.map(packet => packet.lim[field]))]))
+  };
+  
+  return {
+    name: 'emit_batch',
+    description: `Emit exactly ${packets.length} CardSpecs, one per slot in slot order. Never reuse an image id; vary classes between adjacent cards.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        v: { type: 'integer', enum: [1] },
+        t: { type: 'string', enum: ['batch'] },
+        c: {
+          type: 'array',
+          minItems: packets.length,
+          maxItems: packets.length,
+          items: cardJsonSchema(union)
+        }
+      },
+      required: ['v', 't', 'c']
+    }
+  };
+}
+
+/**
+ * Format validation errors as a bullet list (for logs and repair prompts)
+ * @param {Array<{path: string, message: string}>} errors
+ */
+function formatCardErrors(errors) {
+  return errors.map(e => `- ${e.path || '(root)'}: ${e.message}`).join('\n');
+}
+
+// =========================================================
+// STREAMING
+// =========================================================
+// The emit_cards input arrives as partial JSON. The scanner tracks
+// string/bracket state across chunks and yields each c[] entry the
+// moment its closing brace arrives, so cards can ship one at a time
+
+/**
+ * Incremental scanner for a streamed CardsEnvelope ({"v":1,"t":"cards","c":[{...},{...}]})
+ * @returns {{push: function(string): Object[]}} push() returns the cards completed by that chunk
+ */
+function createCardScanner() {
+  let buffer = '';
+  let pos = 0;
+  let inString = false;
+  let escaped = false;
+  let cardStart = -1;
+  const stack = [];
+  
+  // A card is an object opened directly inside the top-level object's array
+  const atCardLevel = () => stack.length === 2 && stack[0] === '{' && stack[1] === '[';
+  
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const cards = [];
+      
+      for (; pos < buffer.length; pos++) {
+        const ch = buffer[pos];
+        
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === '\\') escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+        
+        if (ch === '"') {
+          inString = true;
+        } else if (ch === '{' || ch === '[') {
+          if (ch === '{' && atCardLevel()) cardStart = pos;
+          stack.push(ch);
+        } else if (ch === '}' || ch === ']') {
+          stack.pop();
+          if (ch === '}' && cardStart !== -1 && atCardLevel()) {
+            try {
+              cards.push(JSON.parse(buffer.slice(cardStart, pos + 1)));
+            } catch (e) {
+              // Malformed card; its slot is filled by the fallback at stream end
+            }
+            cardStart = -1;
+          }
+        }
+      }
+      
+      return cards;
+    }
+  };
+}
+
+// =========================================================
+// HELPER FUNCTIONS
+// =========================================================
+
+function idsOf(list) {
+  return Array.isArray(list) ? list.map(item => item?.id).filter(Boolean) : [];
+}
+
+// First candidate per id (enum values must be unique)
+function uniqueById(list) {
+  const seen = new Set();
+  return list.filter(item => !seen.has(item?.id) && seen.add(item?.id));
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  CARD_ICONS,
+  STAT_DIRECTIONS,
+  SOURCE_ROLES,
+  validateCardSpec,
+  validateCardsEnvelope,
+  formatCardErrors,
+  emitCardTool,
+  emitCardsTool,
+  emitBatchTool,
+  createCardScanner
+};
@@ -0,0 +1,416 @@
+// =========================================================
+// COMPOSER - Model-free CardSpec templates
+// =========================================================
+// Builds cards for every class straight from the SignalPacket:
+// images are picked by kind and desire, copy rotates through
+// per-class phrase banks in the packet's language (copybank.js),
+// dates and numbers follow packet.loc, output fits packet.lim, and
+// class choice is scored by the Arbiter (so fatigue counts).
+// Serves composer mode "template", hybrid timeouts and every
+// model fallback. Model cards pass through sanitizeCardSpec, which
+// enforces the same limits and license rules
+// =========================================================
+
+const WebScout = require('./webscout');
+const Arbiter = require('./arbiter');
+const Locale = require('./locale');
+const { getCopyBank } = require('./copybank');
+const { CARD_CLASSES, DESIRE_LABELS } = require('./signalpacket');
+
+// =========================================================
+// COMPOSER MODES
+// =========================================================
+// model    - Claude composes; template on failure
+// template - template composer only (zero Anthropic spend)
+// hybrid   - Claude within a time budget; template otherwise
+
+const COMPOSER_MODES = ['model', 'template', 'hybrid'];
+
+const DEFAULT_COMPOSER_MODE = COMPOSER_MODES.includes(process.env.COMPOSER_MODE) ? process.env.COMPOSER_MODE : 'model';
+
+// Model time budget in hybrid mode
+const HYBRID_BUDGET_MS = parseInt(process.env.COMPOSER_HYBRID_BUDGET_MS) || 4000;
+
+// Copy rotates on this window, so repeated packets don't flicker
+const ROTATION_WINDOW_MS = 60 * 60 * 1000;
+
+// Fixed badge icon per class (sig_sum uses packet tags instead)
+const CLASS_BADGE_ICONS = {
+  flow_next: 'bolt',
+  calm_reset: 'leaf',
+  anomaly: 'shield',
+  culture_lens: 'star'
+};
+
+// =========================================================
+// IMAGE SELECTION
+// =========================================================
+
+// Image kinds each class prefers, best first; null = no image
+const CLASS_IMAGE_KINDS = {
+  sig_sum: [],
+  flow_next: null,
+  calm_reset: ['photo', 'earth', 'art'],
+  anomaly: null,
+  culture_lens: ['art', 'culture', 'space']
+};
+
+// Image kinds that serve each desire [ORI, CONN, COMP, MEAN, REG]
+const DESIRE_IMAGE_KINDS = {
+  ORI: ['space', 'earth'],
+  CONN: ['culture', 'photo'],
+  COMP: ['space', 'earth'],
+  MEAN: ['art', 'culture'],
+  REG: ['photo', 'art']
+};
+
+/**
+ * Best renderable image for a class: class kind preference plus
+ * desire-weighted kind fit; earlier candidates win ties
+ * @param {string} k - Card class
+ * @param {Object} packet
+ * @param {string[]} [exclude] - Image ids already used by sibling cards
+ * @param {boolean} [reuse] - Fall back to excluded images when nothing else is left
+ * @returns {Object|null} Packet image candidate
+ */
+function pickImage(k, packet, exclude = [], reuse = true) {
+  const preferred = CLASS_IMAGE_KINDS[k];
+  if (preferred === null) return null;
+  
+  const images = renderableImages(packet);
+  const pool = images.filter(img => !exclude.includes(img.id));
+  const candidates = pool.length > 0 || !reuse ? pool : images;
+  
+  let best = null;
+  let bestScore = -Infinity;
+  for (const img of candidates) {
+    const rank = preferred.indexOf(img.k);
+    const classFit = rank === -1 ? 0 : 1 - rank / (preferred.length + 1);
+    const desireFit = DESIRE_LABELS.reduce((sum, label, i) => {
+      return sum + (DESIRE_IMAGE_KINDS[label].includes(img.k) ? packet.d?.[i] || 0 : 0);
+    }, 0);
+    
+    const score = classFit + desireFit;
+    if (score > bestScore) {
+      best = img;
+      bestScore = score;
+    }
+  }
+  
+  return best;
+}
+
+// =========================================================
+// COMPOSITION
+// =========================================================
+
+/**
+ * Compose a CardSpec for a class without the model
+ * @param {string} cardClass
+ * @param {Object} packet - Validated SignalPacket
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - Image ids to avoid (used by sibling cards)
+ * @param {boolean} [options.reuseImages] - Reuse an excluded image rather than go without
+ * @returns {Object} CardSpec
+ */
+function composeCard(cardClass, packet, { exclude = [], reuseImages = true } = {}) {
+  const k = CARD_CLASSES.includes(cardClass) ? cardClass : 'sig_sum';
+  const lim = packet.lim;
+  const locale = packet.loc || Locale.DEFAULT_LOCALE;
+  const copy = getCopyBank(Locale.languageOf(locale));
+  const bank = copy.classes[k];
+  const random = WebScout.createRandom(rotationSeed(k, packet));
+  
+  const img = pickImage(k, packet, exclude, reuseImages);
+  const stats = composeStats(k, packet, copy, locale).slice(0, lim.st);
+  const badges = (k === 'sig_sum'
+    ? (packet.c?.tag || []).map(tag => ({ i: iconForTag(tag), t: tag }))
+    : [{ i: CLASS_BADGE_ICONS[k], t: copy.badges[k] }]
+  ).slice(0, lim.bg);
+  
+  return {
+    v: 1,
+    t: 'card',
+    k,
+    ttl: pickPhrase(bank.ttl, lim.ttl, random),
+    sub: k === 'sig_sum' ? fitText(signalSubline(packet, locale), lim.sub) : pickPhrase(bank.sub, lim.sub, random),
+    img: licensedImageRef(img),
+    st: stats.map(entry => entry.stat),
+    qt: pickPhrase(bank.qt, lim.qt, random),
+    by: 'SignalEngine',
+    bg: badges,
+    src: [
+      ...(img ? [{ r: 'img', id: img.id }] : []),
+      ...stats.filter(entry => entry.id).map(entry => ({ r: 'fin', id: entry.id }))
+    ]
+  };
+}
+
+// Stats per class, each with the fin candidate id it came from (if any)
+function composeStats(k, packet, copy, locale) {
+  const fins = packet.c?.fin || [];
+  
+  switch (k) {
+    case 'sig_sum':
+      return fins.slice(0, 2).map(fin => ({
+        id: fin.id,
+        stat: {
+          l: fin.sym,
+          v: fin.px > 0 ? Locale.formatPrice(fin.px, locale) : Locale.formatChange(fin.ch, locale),
+          d: fin.ch >= 0 ? 'up' : 'dn',
+          n: Math.abs(fin.ch) > 5 ? (fin.ch > 0 ? copy.notes.surge : copy.notes.drop) : null
+        }
+      }));
+    
+    case 'anomaly': {
+      // The largest mover is the outlier
+      const outlier = fins.reduce((max, fin) => (!max || Math.abs(fin.ch) > Math.abs(max.ch) ? fin : max), null);
+      if (!outlier) return [];
+      return [{
+        id: outlier.id,
+        stat: {
+          l: outlier.sym,
+          v: Locale.formatChange(outlier.ch, locale),
+          d: outlier.ch >= 0 ? 'up' : 'dn',
+          n: Math.abs(outlier.ch) > 10 ? copy.notes.spike : null
+        }
+      }];
+    }
+    
+    case 'flow_next':
+      return [
+        { id: null, stat: { l: copy.stats.time, v: copy.stats.timeValue, d: 'flat', n: null } },
+        { id: null, stat: { l: copy.stats.action, v: copy.stats.actionValue, d: 'up', n: null } }
+      ];
+    
+    default:
+      return [];
+  }
+}
+
+/**
+ * Classes for a template envelope: packet.cls ranked by the Arbiter's
+ * class score (desire, phase, mode, time of day, minus fatigue)
+ * @param {Object} packet
+ * @param {number} count
+ */
+function rankClasses(packet, count) {
+  const allowed = [...new Set(packet.cls?.length ? packet.cls : CARD_CLASSES)];
+  
+  const ranked = allowed
+    .map(k => ({ k, score: Arbiter.scoreCard({ k, img: null, st: [], bg: [] }, packet) }))
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.k);
+  
+  // Top up from the classic pair if the packet allows too few classes
+  for (const k of ['sig_sum', 'calm_reset']) {
+    if (ranked.length >= count) break;
+    if (!ranked.includes(k)) ranked.push(k);
+  }
+  
+  return ranked.slice(0, count);
+}
+
+/**
+ * Compose a CardsEnvelope of two template cards with different classes and images
+ * @param {Object} packet - Validated SignalPacket
+ */
+function composeEnvelope(packet) {
+  const cards = [];
+  for (const k of rankClasses(packet, 2)) {
+    cards.push(composeCard(k, packet, { exclude: cards.map(card => card.img?.id).filter(Boolean) }));
+  }
+  
+  return { v: 1, t: 'cards', c: cards };
+}
+
+/**
+ * Compose a single template card using the best-scoring allowed class
+ * @param {Object} packet - Validated SignalPacket
+ */
+function composeSingleCard(packet) {
+  return composeCard(rankClasses(packet, 1)[0], packet);
+}
+
+/**
+ * Compose a template card for a batch slot: the best-ranked allowed class
+ * not in avoid, and never an image from exclude
+ * @param {Object} packet - Validated SignalPacket
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - Image ids used elsewhere in the batch
+ * @param {string[]} [options.avoid] - Classes that would break batch variety
+ */
+function composeSlotCard(packet, { exclude = [], avoid = [] } = {}) {
+  const allowed = new Set(packet.cls?.length ? packet.cls : CARD_CLASSES);
+  const ranked = rankClasses(packet, allowed.size);
+  const k = ranked.find(cls => !avoid.includes(cls)) || ranked[0];
+  return composeCard(k, packet, { exclude, reuseImages: false });
+}
+
+/**
+ * Safe stand-in quote in the packet's language
+ * (replaces model quotes that fail the safety check)
+ */
+function safeQuote(packet) {
+  return getCopyBank(Locale.languageOf(packet.loc)).classes.sig_sum.qt[0];
+}
+
+// =========================================================
+// LICENSED IMAGES
+// =========================================================
+
+/**
+ * Image ref for a packet image candidate, with license rules enforced server-side:
+ * null unless the license is render-allowed; attribution-required licenses always carry att
+ */
+function licensedImageRef(candidate, cap = null) {
+  if (!candidate || !WebScout.RENDER_ALLOWED_LICENSES.includes(candidate.lic)) return null;
+  
+  let att = candidate.att || null;
+  if (!att && WebScout.ATTRIBUTION_REQUIRED.includes(candidate.lic)) {
+    att = `${candidate.src || 'Unknown source'} — ${WebScout.rightsToString(candidate.lic)}`;
+  }
+  
+  return {
+    id: candidate.id,
+    u: candidate.u,
+    cap: cap || candidate.ttl || null,
+    src: candidate.src || null,
+    lic: candidate.lic,
+    att,
+    link: candidate.link || null
+  };
+}
+
+// Packet image candidates that may be rendered
+function renderableImages(packet) {
+  return (packet.c?.img || []).filter(img => WebScout.RENDER_ALLOWED_LICENSES.includes(img.lic));
+}
+
+// =========================================================
+// MODEL CARDS
+// =========================================================
+
+/**
+ * Sanitize a model CardSpec in place: enforce packet limits and safety,
+ * and rebuild its image from the packet candidate it references
+ */
+function sanitizeCardSpec(spec, packet) {
+  const lim = packet.lim;
+  
+  // Enforce string limits
+  if (spec.ttl && spec.ttl.length > lim.ttl) {
+    spec.ttl = spec.ttl.slice(0, lim.ttl);
+  }
+  if (spec.sub && spec.sub.length > lim.sub) {
+    spec.sub = spec.sub.slice(0, lim.sub);
+  }
+  if (spec.qt && spec.qt.length > lim.qt) {
+    spec.qt = spec.qt.slice(0, lim.qt);
+  }
+  
+  // Enforce array limits
+  if (spec.st && spec.st.length > lim.st) {
+    spec.st = spec.st.slice(0, lim.st);
+  }
+  if (spec.bg && spec.bg.length > lim.bg) {
+    spec.bg = spec.bg.slice(0, lim.bg);
+  }
+  
+  // Safety check: remove creepy personalization
+  const unsafePatterns = ['you seem', 'i know you', 'your mood', 'your feelings', 'your identity'];
+  const qtLower = (spec.qt || '').toLowerCase();
+  const ttlLower = (spec.ttl || '').toLowerCase();
+  
+  for (const pattern of unsafePatterns) {
+    if (qtLower.includes(pattern) || ttlLower.includes(pattern)) {
+      spec.qt = safeQuote(packet);
+      break;
+    }
+  }
+  
+  // Ensure required fields
+  spec.v = 1;
+  spec.t = 'card';
+  
+  // Validate card class
+  if (!CARD_CLASSES.includes(spec.k)) {
+    spec.k = 'sig_sum';
+  }
+  
+  // Re-derive image fields from the referenced packet candidate; the model's
+  // u/lic/att/src/link are never trusted, only its caption
+  if (spec.img) {
+    const candidate = packet.c?.img?.find(c => c.id === spec.img.id);
+    spec.img = licensedImageRef(candidate, typeof spec.img.cap === 'string' ? spec.img.cap : null);
+  } else {
+    spec.img = null;
+  }
+  
+  spec.by = spec.by || 'SignalEngine';
+  
+  // Image provenance only for the image actually rendered
+  spec.src = (spec.src || []).filter(ref => ref.r !== 'img' || ref.id === spec.img?.id);
+  
+  return spec;
+}
+
+// =========================================================
+// HELPER FUNCTIONS
+// =========================================================
+
+// Same class + phase + candidates in the same window -> same copy
+function rotationSeed(k, packet) {
+  const window = Math.floor(Date.now() / ROTATION_WINDOW_MS);
+  const ids = [...(packet.c?.img || []), ...(packet.c?.fin || [])].map(c => c.id).join(',');
+  return `${k}|${packet.ph || ''}|${window}|${ids}`;
+}
+
+// Rotated phrase that fits max; truncates only if none fit
+function pickPhrase(bank, max, random) {
+  const start = Math.floor(random() * bank.length);
+  for (let i = 0; i < bank.length; i++) {
+    const phrase = bank[(start + i) % bank.length];
+    if (phrase.length <= max) return phrase;
+  }
+  return fitText(bank[start], max);
+}
+
+function fitText(text, max) {
+  return text.length > max ? text.slice(0, max).trimEnd() : text;
+}
+
+function signalSubline(packet, locale) {
+  const now = new Date();
+  const mode = packet.m || 'sync';
+  return `${Locale.formatDate(now, locale)} · ${Locale.formatTime(now, locale)} · ${mode.charAt(0).toUpperCase() + mode.slice(1)}`;
+}
+
+function iconForTag(tag) {
+  const lower = tag.toLowerCase();
+  if (lower.includes('calm') || lower.includes('settle')) return 'leaf';
+  if (lower.includes('active') || lower.includes('system')) return 'bolt';
+  if (lower.includes('morning') || lower.includes('sun')) return 'sun';
+  if (lower.includes('evening') || lower.includes('night')) return 'moon';
+  if (lower.includes('focus')) return 'target';
+  return 'chart';
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  COMPOSER_MODES,
+  DEFAULT_COMPOSER_MODE,
+  HYBRID_BUDGET_MS,
+  composeCard,
+  composeEnvelope,
+  composeSingleCard,
+  composeSlotCard,
+  pickImage,
+  safeQuote,
+  licensedImageRef,
+  renderableImages,
+  sanitizeCardSpec
+};
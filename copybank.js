@@ -0,0 +1,191 @@
+// =========================================================
+// COPYBANK - Localized template copy per card class
+// =========================================================
+// Phrase banks the template composer rotates through, keyed by
+// language. The first entry of each bank is the classic copy.
+// sig_sum's sub line is built from the clock instead of a bank.
+// To add a language, add a key with every field of COPY_BANKS.en
+// =========================================================
+
+const COPY_BANKS = {
+  en: {
+    classes: {
+      sig_sum: {
+        ttl: ["TODAY'S SIGNALS", 'SIGNAL SUMMARY', 'THE READOUT'],
+        qt: ['SIGNALS NOTED. CARRY ON.', 'DATA IN. MIND CLEAR.', 'THE PATTERN HOLDS. PROCEED.']
+      },
+      flow_next: {
+        ttl: ['NEXT MOVE', 'FORWARD PATH', 'ONE STEP'],
+        sub: ['Your forward path', 'Momentum, not pressure', 'Small step, clear direction'],
+        qt: ['MOVE FORWARD. RETURN WHEN READY.', 'ONE THING. THEN THE NEXT.', 'PROGRESS COMPOUNDS.']
+      },
+      calm_reset: {
+        ttl: ['MOMENT OF CALM', 'SIGNAL QUIET', 'RESET'],
+        sub: ['A pause in the signal stream', 'Nothing to chase right now', 'Let the feed settle'],
+        qt: ['BREATHE. THE WORLD KEEPS TURNING.', 'SLOW IS ALSO A SPEED.', 'STILLNESS IS A SIGNAL TOO.']
+      },
+      anomaly: {
+        ttl: ['OUTLIER DETECTED', 'SIGNAL SPIKE', 'OFF THE CURVE'],
+        sub: ['Unusual signal activity', 'One number broke pattern', 'Worth a second look'],
+        qt: ['NOTED. MONITOR AND PROCEED.', 'OUTLIERS PASS. PATTERNS STAY.', "OBSERVE. DON'T REACT."]
+      },
+      culture_lens: {
+        ttl: ['DEEPER SIGNAL', 'THROUGH THE LENS', 'LONG VIEW'],
+        sub: ['A moment of perspective', 'Older than the feed', 'Meaning over momentum'],
+        qt: ['PERSPECTIVE SHIFTS. MEANING EMERGES.', 'MADE BY HANDS, SEEN BY MANY.', 'SOME SIGNALS TAKE CENTURIES.']
+      }
+    },
+    badges: { flow_next: 'action ready', calm_reset: 'settle', anomaly: 'anomaly', culture_lens: 'meaning' },
+    stats: { time: 'TIME', timeValue: '~5 min', action: 'ACTION', actionValue: 'Return' },
+    notes: { surge: 'Surge', drop: 'Drop', spike: 'Spike' }
+  },
+  
+  es: {
+    classes: {
+      sig_sum: {
+        ttl: ['SEÑALES DE HOY', 'RESUMEN DE SEÑALES', 'LA LECTURA'],
+        qt: ['SEÑALES ANOTADAS. SIGUE ADELANTE.', 'DATOS DENTRO. MENTE CLARA.', 'EL PATRÓN SE MANTIENE. CONTINÚA.']
+      },
+      flow_next: {
+        ttl: ['PRÓXIMO PASO', 'CAMINO ADELANTE', 'UN PASO'],
+        sub: ['Tu camino hacia adelante', 'Impulso, no presión', 'Paso pequeño, dirección clara'],
+        qt: ['AVANZA. VUELVE CUANDO QUIERAS.', 'UNA COSA. LUEGO LA SIGUIENTE.', 'EL PROGRESO SE ACUMULA.']
+      },
+      calm_reset: {
+        ttl: ['MOMENTO DE CALMA', 'SEÑAL EN SILENCIO', 'REINICIO'],
+        sub: ['Una pausa en el flujo de señales', 'Nada que perseguir ahora', 'Deja que el feed se asiente'],
+        qt: ['RESPIRA. EL MUNDO SIGUE GIRANDO.', 'LENTO TAMBIÉN ES UNA VELOCIDAD.', 'LA CALMA TAMBIÉN ES UNA SEÑAL.']
+      },
+      anomaly: {
+        ttl: ['VALOR ATÍPICO', 'PICO DE SEÑAL', 'FUERA DE LA CURVA'],
+        sub: ['Actividad de señal inusual', 'Un número rompió el patrón', 'Merece una segunda mirada'],
+        qt: ['ANOTADO. OBSERVA Y CONTINÚA.', 'LOS PICOS PASAN. LOS PATRONES QUEDAN.', 'OBSERVA. NO REACCIONES.']
+      },
+      culture_lens: {
+        ttl: ['SEÑAL PROFUNDA', 'A TRAVÉS DE LA LENTE', 'VISIÓN AMPLIA'],
+        sub: ['Un momento de perspectiva', 'Más antiguo que el feed', 'Sentido antes que impulso'],
+        qt: ['LA PERSPECTIVA CAMBIA. SURGE EL SENTIDO.', 'HECHO A MANO, VISTO POR MUCHOS.', 'ALGUNAS SEÑALES TARDAN SIGLOS.']
+      }
+    },
+    badges: { flow_next: 'acción lista', calm_reset: 'calma', anomaly: 'anomalía', culture_lens: 'sentido' },
+    stats: { time: 'TIEMPO', timeValue: '~5 min', action: 'ACCIÓN', actionValue: 'Volver' },
+    notes: { surge: 'Subida', drop: 'Caída', spike: 'Pico' }
+  },
+  
+  fr: {
+    classes: {
+      sig_sum: {
+        ttl: ['SIGNAUX DU JOUR', 'RÉSUMÉ DES SIGNAUX', 'LE RELEVÉ'],
+        qt: ['SIGNAUX NOTÉS. CONTINUEZ.', 'DONNÉES REÇUES. ESPRIT CLAIR.', 'LE MOTIF TIENT. AVANCEZ.']
+      },
+      flow_next: {
+        ttl: ['PROCHAIN PAS', 'EN AVANT', 'UN PAS'],
+        sub: ['Votre chemin vers l’avant', 'De l’élan, pas de pression', 'Petit pas, cap clair'],
+        qt: ['AVANCEZ. REVENEZ QUAND VOUS VOULEZ.', 'UNE CHOSE. PUIS LA SUIVANTE.', 'LES PROGRÈS S’ADDITIONNENT.']
+      },
+      calm_reset: {
+        ttl: ['MOMENT DE CALME', 'SIGNAL AU REPOS', 'PAUSE'],
+        sub: ['Une pause dans le flux', 'Rien à poursuivre pour l’instant', 'Laissez le fil se poser'],
+        qt: ['RESPIREZ. LE MONDE CONTINUE DE TOURNER.', 'LENTEMENT, C’EST AUSSI UNE VITESSE.', 'LE CALME EST AUSSI UN SIGNAL.']
+      },
+      anomaly: {
+        ttl: ['ANOMALIE DÉTECTÉE', 'PIC DE SIGNAL', 'HORS COURBE'],
+        sub: ['Activité inhabituelle', 'Un chiffre sort du lot', 'À regarder deux fois'],
+        qt: ['NOTÉ. SURVEILLEZ ET CONTINUEZ.', 'LES PICS PASSENT. LES TENDANCES RESTENT.', 'OBSERVEZ. NE RÉAGISSEZ PAS.']
+      },
+      culture_lens: {
+        ttl: ['SIGNAL PROFOND', 'À TRAVERS LA LENTILLE', 'VUE LONGUE'],
+        sub: ['Un moment de recul', 'Plus ancien que le fil', 'Le sens avant l’élan'],
+        qt: ['LA PERSPECTIVE CHANGE. LE SENS ÉMERGE.', 'FAIT À LA MAIN, VU PAR BEAUCOUP.', 'CERTAINS SIGNAUX PRENNENT DES SIÈCLES.']
+      }
+    },
+    badges: { flow_next: 'action prête', calm_reset: 'apaiser', anomaly: 'anomalie', culture_lens: 'sens' },
+    stats: { time: 'TEMPS', timeValue: '~5 min', action: 'ACTION', actionValue: 'Revenir' },
+    notes: { surge: 'Hausse', drop: 'Baisse', spike: 'Pic' }
+  },
+  
+  de: {
+    classes: {
+      sig_sum: {
+        ttl: ['SIGNALE VON HEUTE', 'SIGNALÜBERSICHT', 'DIE ANZEIGE'],
+        qt: ['SIGNALE NOTIERT. WEITER SO.', 'DATEN DA. KOPF KLAR.', 'DAS MUSTER HÄLT. WEITER.']
+      },
+      flow_next: {
+        ttl: ['NÄCHSTER SCHRITT', 'WEG NACH VORN', 'EIN SCHRITT'],
+        sub: ['Dein Weg nach vorn', 'Schwung, kein Druck', 'Kleiner Schritt, klare Richtung'],
+        qt: ['GEH WEITER. KOMM ZURÜCK, WANN DU WILLST.', 'EINS NACH DEM ANDEREN.', 'FORTSCHRITT SUMMIERT SICH.']
+      },
+      calm_reset: {
+        ttl: ['MOMENT DER RUHE', 'SIGNALSTILLE', 'NEUSTART'],
+        sub: ['Eine Pause im Signalstrom', 'Gerade nichts zu jagen', 'Lass den Feed zur Ruhe kommen'],
+        qt: ['ATME. DIE WELT DREHT SICH WEITER.', 'LANGSAM IST AUCH EIN TEMPO.', 'STILLE IST AUCH EIN SIGNAL.']
+      },
+      anomaly: {
+        ttl: ['AUSREISSER ERKANNT', 'SIGNALSPITZE', 'AUSSERHALB DER KURVE'],
+        sub: ['Ungewöhnliche Signalaktivität', 'Eine Zahl bricht das Muster', 'Einen zweiten Blick wert'],
+        qt: ['NOTIERT. BEOBACHTEN UND WEITER.', 'SPITZEN VERGEHEN. MUSTER BLEIBEN.', 'BEOBACHTEN. NICHT REAGIEREN.']
+      },
+      culture_lens: {
+        ttl: ['TIEFERES SIGNAL', 'DURCH DIE LINSE', 'WEITER BLICK'],
+        sub: ['Ein Moment der Perspektive', 'Älter als der Feed', 'Sinn vor Tempo'],
+        qt: ['PERSPEKTIVE WECHSELT. SINN ENTSTEHT.', 'VON HAND GEMACHT, VON VIELEN GESEHEN.', 'MANCHE SIGNALE BRAUCHEN JAHRHUNDERTE.']
+      }
+    },
+    badges: { flow_next: 'bereit', calm_reset: 'zur Ruhe kommen', anomaly: 'Anomalie', culture_lens: 'Sinn' },
+    stats: { time: 'ZEIT', timeValue: '~5 Min.', action: 'AKTION', actionValue: 'Zurückkehren' },
+    notes: { surge: 'Anstieg', drop: 'Rückgang', spike: 'Spitze' }
+  },
+  
+  pt: {
+    classes: {
+      sig_sum: {
+        ttl: ['SINAIS DE HOJE', 'RESUMO DE SINAIS', 'A LEITURA'],
+        qt: ['SINAIS ANOTADOS. SIGA EM FRENTE.', 'DADOS DENTRO. MENTE CLARA.', 'O PADRÃO SE MANTÉM. CONTINUE.']
+      },
+      flow_next: {
+        ttl: ['PRÓXIMO PASSO', 'CAMINHO À FRENTE', 'UM PASSO'],
+        sub: ['Seu caminho adiante', 'Impulso, não pressão', 'Passo pequeno, direção clara'],
+        qt: ['SIGA EM FRENTE. VOLTE QUANDO QUISER.', 'UMA COISA. DEPOIS A PRÓXIMA.', 'O PROGRESSO SE ACUMULA.']
+      },
+      calm_reset: {
+        ttl: ['MOMENTO DE CALMA', 'SINAL EM SILÊNCIO', 'RECOMEÇO'],
+        sub: ['Uma pausa no fluxo de sinais', 'Nada para perseguir agora', 'Deixe o feed assentar'],
+        qt: ['RESPIRE. O MUNDO CONTINUA GIRANDO.', 'DEVAGAR TAMBÉM É UMA VELOCIDADE.', 'A CALMA TAMBÉM É UM SINAL.']
+      },
+      anomaly: {
+        ttl: ['PONTO FORA DA CURVA', 'PICO DE SINAL', 'FORA DO PADRÃO'],
+        sub: ['Atividade de sinal incomum', 'Um número quebrou o padrão', 'Vale uma segunda olhada'],
+        qt: ['ANOTADO. OBSERVE E SIGA.', 'PICOS PASSAM. PADRÕES FICAM.', 'OBSERVE. NÃO REAJA.']
+      },
+      culture_lens: {
+        ttl: ['SINAL PROFUNDO', 'PELA LENTE', 'VISÃO AMPLA'],
+        sub: ['Um momento de perspectiva', 'Mais antigo que o feed', 'Sentido antes do ritmo'],
+        qt: ['A PERSPECTIVA MUDA. O SENTIDO SURGE.', 'FEITO À MÃO, VISTO POR MUITOS.', 'ALGUNS SINAIS LEVAM SÉCULOS.']
+      }
+    },
+    badges: { flow_next: 'ação pronta', calm_reset: 'acalmar', anomaly: 'anomalia', culture_lens: 'sentido' },
+    stats: { time: 'TEMPO', timeValue: '~5 min', action: 'AÇÃO', actionValue: 'Voltar' },
+    notes: { surge: 'Alta', drop: 'Queda', spike: 'Pico' }
+  }
+};
+
+// =========================================================
+// LOOKUP
+// =========================================================
+
+/**
+ * Copy bank for a language, falling back to English
+ * @param {string} language - e.g. 'es'
+ */
+function getCopyBank(language) {
+  return COPY_BANKS[language] || COPY_BANKS.en;
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  COPY_BANKS,
+  getCopyBank
+};
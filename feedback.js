@@ -0,0 +1,251 @@
+// =========================================================
+// FEEDBACK - Card outcomes and per-context class rewards
+// =========================================================
+// Clients report what happened to a card (tapped, dwelled on,
+// skipped). Events are appended to a local JSONL store and folded
+// into Beta reward estimates per (phase, desire bucket) context,
+// which the competing-cards flow samples to pick its two classes
+// =========================================================
+
+const fs = require('fs');
+const path = require('path');
+const { CARD_CLASSES, PHASES, DESIRE_LABELS } = require('./signalpacket');
+const { sampleBeta } = require('./arbiter');
+
+// =========================================================
+// CONSTANTS
+// =========================================================
+
+// Reward per outcome, 0–1
+const OUTCOME_REWARDS = {
+  tap: 1,
+  dwell: 0.7,
+  view: 0.3,
+  skip: 0
+};
+
+const FEEDBACK_STORE_PATH = process.env.FEEDBACK_STORE_PATH || path.join(__dirname, 'data', 'feedback.jsonl');
+
+// Observations a context needs before its estimates steer class selection
+const MIN_CONTEXT_OBSERVATIONS = parseInt(process.env.FEEDBACK_MIN_OBSERVATIONS) || 20;
+
+const MAX_CARD_ID_LENGTH = 128;
+
+/**
+ * @typedef {Object} FeedbackEvent
+ * @property {string} k - Card class (CARD_CLASSES)
+ * @property {string} id - Card id as known to the client
+ * @property {string} ph - Session phase (PHASES)
+ * @property {string} db - Desire bucket: dominant desire label (DESIRE_LABELS)
+ * @property {string} o - Outcome (OUTCOME_REWARDS keys)
+ * @property {string} ts - ISO timestamp, set on receipt
+ */
+
+// =========================================================
+// VALIDATION
+// =========================================================
+
+/**
+ * Validate a feedback event body
+ * @param {*} body
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+function validateFeedback(body) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ path: field, message });
+  
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    fail('', 'must be a JSON object');
+    return errors;
+  }
+  
+  if (!CARD_CLASSES.includes(body.k)) fail('k', `must be one of: ${CARD_CLASSES.join(', ')}`);
+  if (typeof body.id !== 'string' || !body.id.trim() || body.id.length > MAX_CARD_ID_LENGTH) {
+    fail('id', `must be a non-empty string of at most ${MAX_CARD_ID_LENGTH} chars`);
+  }
+  if (!PHASES.includes(body.ph)) fail('ph', `must be one of: ${PHASES.join(', ')}`);
+  if (!DESIRE_LABELS.includes(body.db)) fail('db', `must be one of: ${DESIRE_LABELS.join(', ')}`);
+  if (!Object.prototype.hasOwnProperty.call(OUTCOME_REWARDS, body.o)) fail('o', `must be one of: ${Object.keys(OUTCOME_REWARDS).join(', ')}`);
+  
+  return errors;
+}
+
+/**
+ * Desire bucket for a desire vector: the dominant label
+ * @param {number[]} d - [ORI, CONN, COMP, MEAN, REG]
+ */
+function desireBucket(d) {
+  return DESIRE_LABELS[d.indexOf(Math.max(...d))];
+}
+
+function contextKey(ph, db) {
+  return `${ph}:${db}`;
+}
+
+// =========================================================
+// STORE
+// =========================================================
+// Append-only JSONL on disk; estimates are rebuilt by replaying it
+// on first use, then kept in memory
+
+// context -> class -> { n, alpha, beta } (Beta(1, 1) prior excluded)
+const estimates = {};
+let eventCount = 0;
+let loaded = false;
+
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+  
+  let raw;
+  try {
+    raw = fs.readFileSync(FEEDBACK_STORE_PATH, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`⚠️ Feedback store unreadable (${error.message}), starting empty`);
+    return;
+  }
+  
+  let skipped = 0;
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (validateFeedback(event).length > 0) throw new Error('invalid event');
+      applyEvent(event);
+    } catch (e) {
+      skipped++;
+    }
+  }
+  
+  console.log(`📈 Feedback: loaded ${eventCount} events from ${FEEDBACK_STORE_PATH}${skipped ? ` (${skipped} skipped)` : ''}`);
+}
+
+function applyEvent(event) {
+  const ctx = contextKey(event.ph, event.db);
+  const reward = OUTCOME_REWARDS[event.o];
+  
+  estimates[ctx] = estimates[ctx] || {};
+  const entry = estimates[ctx][event.k] = estimates[ctx][event.k] || { n: 0, alpha: 0, beta: 0 };
+  entry.n++;
+  entry.alpha += reward;
+  entry.beta += 1 - reward;
+  eventCount++;
+}
+
+/**
+ * Record a validated feedback event: persist it, then update estimates
+ * @param {Object} body - Validated feedback body
+ * @returns {Promise<{ctx: string, k: string, n: number, mean: number}>}
+ */
+async function recordFeedback(body) {
+  ensureLoaded();
+  
+  const event = {
+    k: body.k,
+    id: body.id,
+    ph: body.ph,
+    db: body.db,
+    o: body.o,
+    ts: new Date().toISOString()
+  };
+  
+  try {
+    await fs.promises.mkdir(path.dirname(FEEDBACK_STORE_PATH), { recursive: true });
+    await fs.promises.appendFile(FEEDBACK_STORE_PATH, JSON.stringify(event) + '\n');
+  } catch (error) {
+    // Keep learning in memory; the event is lost on restart
+    console.warn(`⚠️ Feedback store write failed: ${error.message}`);
+  }
+  
+  applyEvent(event);
+  
+  const ctx = contextKey(event.ph, event.db);
+  const entry = estimates[ctx][event.k];
+  return { ctx, k: event.k, n: entry.n, mean: posteriorMean(entry) };
+}
+
+// =========================================================
+// CLASS SELECTION
+// =========================================================
+
+/**
+ * Pick two classes for a packet by Thompson sampling the context's estimates.
+ * Returns null (leave packet.cls alone) until the context has enough data
+ * or when there is nothing to choose between.
+ * @param {Object} packet - Validated competing SignalPacket
+ * @param {function(): number} [random]
+ * @returns {{ctx: string, cls: string[]}|null}
+ */
+function chooseClasses(packet, random = Math.random) {
+  ensureLoaded();
+  
+  const classes = [...new Set(packet.cls)];
+  if (classes.length <= 2) return null;
+  
+  const ctx = contextKey(packet.ph, desireBucket(packet.d));
+  const context = estimates[ctx] || {};
+  const observations = Object.values(context).reduce((sum, entry) => sum + entry.n, 0);
+  if (observations < MIN_CONTEXT_OBSERVATIONS) return null;
+  
+  const draws = classes.map(k => {
+    const entry = context[k] || { alpha: 0, beta: 0 };
+    return { k, draw: sampleBeta(1 + entry.alpha, 1 + entry.beta, random) };
+  });
+  draws.sort((a, b) => b.draw - a.draw);
+  
+  return { ctx, cls: draws.slice(0, 2).map(entry => entry.k) };
+}
+
+/**
+ * Learning state for the admin endpoint
+ */
+function getLearningState() {
+  ensureLoaded();
+  
+  const contexts = {};
+  for (const [ctx, classes] of Object.entries(estimates)) {
+    contexts[ctx] = {};
+    for (const [k, entry] of Object.entries(classes)) {
+      contexts[ctx][k] = {
+        n: entry.n,
+        mean: posteriorMean(entry),
+        alpha: round(1 + entry.alpha),
+        beta: round(1 + entry.beta)
+      };
+    }
+  }
+  
+  return {
+    events: eventCount,
+    store: FEEDBACK_STORE_PATH,
+    minObservations: MIN_CONTEXT_OBSERVATIONS,
+    rewards: OUTCOME_REWARDS,
+    contexts
+  };
+}
+
+// =========================================================
+// HELPER FUNCTIONS
+// =========================================================
+
+// Mean of Beta(1 + alpha, 1 + beta)
+function posteriorMean(entry) {
+  return round((1 + entry.alpha) / (2 + entry.alpha + entry.beta));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  OUTCOME_REWARDS,
+  validateFeedback,
+  desireBucket,
+  recordFeedback,
+  chooseClasses,
+  getLearningState
+};
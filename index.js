@@ -1,21 +1,106 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const Anthropic = require('@anthropic-ai/sdk');
 const WebScout = require('./webscout');
+const SignalPacket = require('./signalpacket');
+const CardSpec = require('./cardspec');
+const Arbiter = require('./arbiter');
+const Feedback = require('./feedback');
+const Composer = require('./composer');
+const Locale = require('./locale');
+const CardCache = require('./cardcache');
+const LLM = require('./llm');
+const RateLimit = require('./ratelimit');
+const Auth = require('./auth');
+const Usage = require('./usage');
+const Metrics = require('./metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Anthropic client (uses ANTHROPIC_API_KEY env var automatically)
-const anthropic = new Anthropic();
+// Default candidate seed is stable within this window for a given user bucket
+const CANDIDATE_SEED_WINDOW_MIN = parseInt(process.env.CANDIDATE_SEED_WINDOW_MIN) || 30;
+const CANDIDATE_SEED_USER_BUCKETS = 1000;
+
+// Cap on ids accepted in /api/candidates?exclude=
+const MAX_EXCLUDE_IDS = 500;
+
+// Served ids travel in /api/candidates cursors as fixed-length WebScout.seenHash()es
+const CURSOR_HASH_LENGTH = WebScout.seenHash('').length;
+const CURSOR_HASH_PATTERN = new RegExp(`.{${CURSOR_HASH_LENGTH}}`, 'g');
+
+// /api/card-batch: slots per request, slots per model call
+const CARD_BATCH_MAX_SLOTS = parseInt(process.env.CARD_BATCH_MAX_SLOTS) || 20;
+const CARD_BATCH_CHUNK_SIZE = parseInt(process.env.CARD_BATCH_CHUNK_SIZE) || 4;
+
+// In batches of 4+, no class may fill more than this share of the slots
+const CARD_BATCH_MAX_CLASS_SHARE = 0.5;
+
+// Behind a proxy (Railway), req.ip is only the client's address when the proxy is trusted
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Browser origins allowed to call the API (CORS_ORIGINS, comma-separated; '*' allows any).
+// Native apps send no Origin and are unaffected
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
 // Middleware
-app.use(cors());
+app.use(Metrics.httpMetrics);
+app.use(cors({
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Device-Token', 'X-Device-Id'],
+  exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Degraded']
+}));
 app.use(express.json());
 
+// API key or device token on every /api/* route (auth.js); admin routes use ADMIN_TOKEN
+app.use('/api', Auth.authenticate);
+
+// Per-client token buckets (ratelimit.js). Card endpoints degrade to template
+// cards when over budget; template-mode requests never touch the model budget.
+// Cached card endpoints charge on a cache miss only (chargeCardMiss)
+const cheapLimit = RateLimit.rateLimit('cheap');
+const modelLimit = RateLimit.rateLimit('model');
+const cardLimit = RateLimit.rateLimit('model', { degrade: true, cost: req => modelCallCost(req, 1) });
+const batchLimit = RateLimit.rateLimit('model', { degrade: true, cost: req => modelCallCost(req, batchChunkCount(req.body)) });
+const chargeCardMiss = (req, res) => () => RateLimit.chargeBudget('model', req, res, { degrade: true });
+
+// WebScout source runs feed the /metrics counters
+WebScout.onSourceRun(Metrics.recordSourceRun);
+
+// Prometheus metrics (metrics.js); bearer METRICS_TOKEN when set
+app.get('/metrics', Auth.requireMetricsToken, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(Metrics.renderMetrics());
+});
+
 // Health check
+// Shallow by default (Railway healthcheck); ?deep=1 adds per-source WebScout health
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const health = {
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    breakers: WebScout.getBreakerStates()
+  };
+  
+  if (req.query.deep !== '1' && req.query.deep !== 'true') {
+    return res.json(health);
+  }
+  
+  const sources = WebScout.getSourceHealth();
+  const llmConfigured = LLM.isConfigured();
+  
+  // Degraded when the model can't be reached or no configured source has a healthy last run
+  const healthySources = sources.filter(s => s.configured && s.breaker !== 'open' &&
+    (s.runs === 0 || (s.lastSuccess && (!s.lastError || s.lastSuccess > s.lastError.at))));
+  
+  res.json({
+    ...health,
+    status: llmConfigured && healthySources.length > 0 ? 'ok' : 'degraded',
+    llm: { provider: LLM.getProviderName(), configured: llmConfigured },
+    cardCache: CardCache.getCardCacheStats(),
+    sources
+  });
 });
 
 // =========================================================
@@ -24,14 +109,26 @@ app.get('/health', (req, res) => {
 // Returns licensed image candidates + link candidates
 // Only from allowlisted sources with verified licenses
 
-app.get('/api/candidates', async (req, res) => {
+app.get('/api/candidates', cheapLimit, async (req, res) => {
   try {
-    const surfaces = req.query.surfaces?.split(',') || ['all'];
-    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+    // A cursor pins surfaces, limit and seed and remembers what earlier pages served
+    const cursor = req.query.cursor ? decodeCandidateCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: 'cursor must be a value returned in a previous /api/candidates response'
+      });
+    }
     
-    console.log(`🔍 WebScout: Fetching candidates for surfaces: ${surfaces.join(', ')}, limit: ${limit}`);
+    const surfaces = cursor?.f || req.query.surfaces?.split(',') || ['all'];
+    const limit = cursor?.n || Math.min(parseInt(req.query.limit) || 5, 20);
+    const seed = cursor?.s || (req.query.seed ? String(req.query.seed) : defaultCandidateSeed(req));
+    const seen = cursor ? cursor.h.match(CURSOR_HASH_PATTERN) || [] : [];
+    const exclude = (req.query.exclude?.split(',') || []).filter(Boolean).slice(0, MAX_EXCLUDE_IDS);
     
-    const candidates = await WebScout.harvestCandidates(surfaces, limit);
+    console.log(`🔍 WebScout: Fetching candidates for surfaces: ${surfaces.join(', ')}, limit: ${limit}, seed: ${seed}`);
+    
+    const candidates = await WebScout.harvestCandidates(surfaces, limit, { seed, seen, exclude });
     
     console.log(`✅ WebScout: Found ${candidates.img.length} image candidates, ${candidates.lnk.length} link candidates`);
     
@@ -44,6 +141,14 @@ app.get('/api/candidates', async (req, res) => {
         render_allowed: WebScout.RENDER_ALLOWED_LICENSES,
         attribution_required: WebScout.ATTRIBUTION_REQUIRED
       },
+      cache: candidates.cache,
+      seed,
+      next: candidates.next ? encodeCandidateCursor({
+        f: surfaces,
+        n: limit,
+        s: seed,
+        h: candidates.next.seen.join('')
+      }) : null,
       ts: new Date().toISOString()
     });
   } catch (error) {
@@ -55,8 +160,55 @@ app.get('/api/candidates', async (req, res) => {
   }
 });
 
+// Lists registered WebScout sources and whether they are enabled
+app.get('/api/sources', cheapLimit, (req, res) => {
+  const sources = WebScout.listSources().map(source => ({
+    id: source.id,
+    name: source.name,
+    surfaces: source.surfaces,
+    limit: source.limit,
+    env: Object.keys(source.env),
+    enabled: WebScout.isSourceEnabled(source)
+  }));
+  
+  res.json({
+    v: 1,
+    t: 'sources',
+    surfaces: [...new Set(sources.flatMap(s => s.surfaces))],
+    sources,
+    ts: new Date().toISOString()
+  });
+});
+
+// Default seed: time bucket + user bucket (device id header, else IP)
+function defaultCandidateSeed(req) {
+  const timeBucket = Math.floor(Date.now() / (CANDIDATE_SEED_WINDOW_MIN * 60 * 1000));
+  const userKey = req.get('x-device-id') || req.ip || 'anon';
+  const userBucket = crypto.createHash('sha1').update(userKey).digest().readUInt32BE(0) % CANDIDATE_SEED_USER_BUCKETS;
+  return `${timeBucket}-${userBucket}`;
+}
+
+// Cursors are opaque to clients: base64url JSON { f: surfaces, n: limit, s: seed, h: served id hashes, concatenated }
+function encodeCandidateCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+function decodeCandidateCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const valid = Array.isArray(state.f) && state.f.every(f => typeof f === 'string') &&
+      Number.isInteger(state.n) && state.n > 0 && state.n <= 20 &&
+      typeof state.s === 'string' &&
+      typeof state.h === 'string' && state.h.length % CURSOR_HASH_LENGTH === 0 && /^[A-Za-z0-9_-]*$/.test(state.h) &&
+      state.h.length <= WebScout.MAX_SEEN_IDS * CURSOR_HASH_LENGTH;
+    return valid ? state : null;
+  } catch (e) {
+    return null;
+  }
+}
+
 // Generate AI Insight
-app.post('/api/insight', async (req, res) => {
+app.post('/api/insight', modelLimit, async (req, res) => {
   try {
     const {
       recentSurfaces = [],
@@ -65,7 +217,7 @@ app.post('/api/insight', async (req, res) => {
       timeOfDay = 'day',
       cardsViewed = 0
     } = req.body;
-
+    
     // Build context for Claude
     const prompt = buildInsightPrompt({
       recentSurfaces,
@@ -74,26 +226,43 @@ app.post('/api/insight', async (req, res) => {
       timeOfDay,
       cardsViewed
     });
-
-    // Call Claude
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 500,
+    
+    // Daily model budget spent: fallback insight without calling Claude
+    const params = LLM.modelParams('insight');
+    if (Usage.isOverBudget()) {
+      Usage.recordUsage({ endpoint: 'insight', model: params.model, ms: 0, fallback: true, reason: 'budget' });
+      Metrics.recordGeneration('insight', 'fallback');
+      return res.json(fallbackInsight());
+    }
+    
+    // Call Claude (structured output via the emit_insight tool)
+    const startedAt = Date.now();
+    const message = await LLM.createMessage({
+      ...params,
+      tools: [EMIT_INSIGHT_TOOL],
+      tool_choice: { type: 'tool', name: EMIT_INSIGHT_TOOL.name },
       messages: [
         {
           role: 'user',
           content: prompt
         }
       ]
+    }).catch(error => {
+      Usage.recordUsage({ endpoint: 'insight', model: params.model, ms: Date.now() - startedAt, fallback: true, reason: 'error' });
+      Metrics.recordLlmError('insight', false);
+      throw error;
     });
-
+    Metrics.recordLlmCall('insight', params.model, Date.now() - startedAt);
+    
     // Parse Claude's response
-    const responseText = message.content[0].text;
-    const insight = parseInsightResponse(responseText);
-
+    const { insight, fallback } = parseInsightResponse(message);
+    Usage.recordUsage({ endpoint: 'insight', model: params.model, usage: message.usage, ms: Date.now() - startedAt, fallback });
+    Metrics.recordGeneration('insight', fallback ? 'fallback' : 'model');
+    
     res.json(insight);
   } catch (error) {
     console.error('Error generating insight:', error);
+    Metrics.recordGeneration('insight', 'error');
     res.status(500).json({
       error: 'Failed to generate insight',
       message: error.message
@@ -119,31 +288,57 @@ GUIDELINES:
 - Never be creepy or invasive
 - Vary your style: sometimes reflective, sometimes curious, sometimes playful
 
-Respond ONLY with valid JSON in this exact format:
-{
-  "title": "A short catchy title (3-6 words)",
-  "content": "Your 2-3 sentence insight here",
-  "category": "one of: pattern, discovery, reflection, suggestion",
-  "tags": ["tag1", "tag2", "tag3"]
-}`;
+Respond ONLY by calling the emit_insight tool:
+- title: A short catchy title (3-6 words)
+- content: Your 2-3 sentence insight
+- category: one of pattern, discovery, reflection, suggestion
+- tags: 2-3 short tags`;
 }
 
-// Parse Claude's JSON response
-function parseInsightResponse(text) {
-  try {
-    // Try to extract JSON from the response
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-  } catch (e) {
-    console.error('Failed to parse insight JSON:', e);
+// Structured output tool for /api/insight
+const EMIT_INSIGHT_TOOL = {
+  name: 'emit_insight',
+  description: 'Emit the personalized insight.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', description: 'Short catchy title (3-6 words)' },
+      content: { type: 'string', description: '2-3 sentence insight' },
+      category: { type: 'string', enum: ['pattern', 'discovery', 'reflection', 'suggestion'] },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 5 }
+    },
+    required: ['title', 'content', 'category', 'tags']
   }
+};
 
+// Parse Claude's emit_insight tool call
+function parseInsightResponse(message) {
+  const call = readToolCall(message, EMIT_INSIGHT_TOOL.name);
+  const input = call.input;
+  
+  if (input && typeof input.title === 'string' && typeof input.content === 'string') {
+    return {
+      insight: {
+        title: input.title,
+        content: input.content,
+        category: input.category || 'reflection',
+        tags: Array.isArray(input.tags) ? input.tags : []
+      },
+      fallback: false
+    };
+  }
+  
+  console.error('Failed to read insight tool call:', call.error || 'missing title/content');
+  
   // Fallback if parsing fails
+  const text = message.content.find(block => block.type === 'text')?.text;
+  return { insight: fallbackInsight(text), fallback: true };
+}
+
+function fallbackInsight(text) {
   return {
     title: "A Moment of Discovery",
-    content: text.slice(0, 200),
+    content: text ? text.slice(0, 200) : "Every scroll leaves a trail. Yours is still taking shape.",
     category: "reflection",
     tags: ["insight"]
   };
@@ -155,103 +350,693 @@ function parseInsightResponse(text) {
 // =========================================================
 
 app.post('/api/artifact-card', async (req, res) => {
+  // Composer mode per request (?composer=model|template|hybrid)
+  const composer = readComposerMode(req);
+  if (composer.error) {
+    return res.status(400).json({ error: 'Invalid composer mode', message: composer.error });
+  }
+  
   try {
-    const packet = req.body;
-    
-    // Validate packet structure
-    if (!packet.v || packet.t !== 'sig' || !packet.d || !packet.c || !packet.lim) {
-      return res.status(400).json({
-        error: 'Invalid SignalPacket structure',
-        message: 'Missing required fields: v, t, d, c, lim'
-      });
+    // Validate packet against the SignalPacket schema
+    const errors = SignalPacket.validateSignalPacket(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json(SignalPacket.signalPacketErrorResponse(errors));
     }
-
-    // Build the prompt for CardSpec generation
-    const prompt = buildArtifactCardPrompt(packet);
-
-    // Call Claude with strict JSON mode
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 800,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
-
-    // Parse and validate CardSpec response
-    const responseText = message.content[0].text;
-    const cardSpec = parseCardSpecResponse(responseText, packet);
-
-    res.json(cardSpec);
+    
+    const packet = withLocale(req.body, req);
+    recordBudgetSkip(composer, 'artifact_card');
+    
+    // Call Claude (per composer mode) unless a near-identical packet is cached;
+    // one repair round-trip if the CardSpec fails validation
+    const composed = await composeCached(
+      'artifact-card',
+      packet,
+      composer.mode,
+      options => generateWithRepair(
+        buildArtifactCardPrompt(packet),
+        'artifact_card',
+        CardSpec.emitCardTool(packet),
+        input => parseCardSpecResponse(input, packet),
+        options
+      ),
+      spec => Composer.sanitizeCardSpec(spec, packet),
+      chargeCardMiss(req, res)
+    );
+    if (!composed) return;
+    const { value: cardSpec, gen, cache } = composed;
+    
+    Metrics.recordGeneration('artifact_card', gen);
+    res.json({ ...(cardSpec || Composer.composeSingleCard(packet)), meta: { gen, ...cache } });
   } catch (error) {
     console.error('Error generating artifact card:', error);
     
     // Return fallback CardSpec on error
-    const fallback = generateFallbackCardSpec(req.body);
-    res.json(fallback);
+    const fallback = Composer.composeSingleCard(withLocale(req.body, req));
+    Metrics.recordGeneration('artifact_card', 'fallback');
+    res.json({ ...fallback, meta: { gen: 'fallback', cache: 'miss' } });
   }
 });
 
 // =========================================================
 // COMPETING CARDS ENDPOINT (New multi-candidate)
-// Generates 2 CardSpecs with different classes; Arbiter selects winner
+// Generates 2 CardSpecs with different classes; Arbiter ranks them and selects winner
 // =========================================================
 
 app.post('/api/competing-cards', async (req, res) => {
+  // Arbiter strategy is chosen per request (?strategy=&epsilon=&seed=)
+  const arbiter = readArbiterOptions(req.query);
+  if (arbiter.error) {
+    return res.status(400).json({ error: 'Invalid arbiter options', message: arbiter.error });
+  }
+  
+  const composer = readComposerMode(req);
+  if (composer.error) {
+    return res.status(400).json({ error: 'Invalid composer mode', message: composer.error });
+  }
+  
+  // Validate packet against the SignalPacket schema (competing also requires ph + cls)
+  const errors = SignalPacket.validateSignalPacket(req.body, { competing: true });
+  if (errors.length > 0) {
+    return res.status(400).json(SignalPacket.signalPacketErrorResponse(errors));
+  }
+  
+  // Learned class rewards may narrow packet.cls to two classes
+  const learned = Feedback.chooseClasses(req.body);
+  const packet = withLocale(learned ? { ...req.body, cls: learned.cls } : req.body, req);
+  recordBudgetSkip(composer, 'competing_cards');
+  
   try {
-    const packet = req.body;
+    // Call Claude (per composer mode) unless a near-identical packet is cached;
+    // one repair round-trip if the envelope fails validation. Cached envelopes
+    // are stored unranked, so the Arbiter still runs per request
+    const composed = await composeCached(
+      'competing-cards',
+      packet,
+      composer.mode,
+      options => generateWithRepair(
+        buildCompetingCardsPrompt(packet),
+        'competing_cards',
+        CardSpec.emitCardsTool(packet),
+        input => parseCompetingCardsResponse(input, packet),
+        options
+      ),
+      cached => ({ ...cached, c: cached.c.map(spec => Composer.sanitizeCardSpec(spec, packet)) }),
+      chargeCardMiss(req, res)
+    );
+    if (!composed) return;
+    const { value: envelope, gen, cache } = composed;
     
-    // Validate packet structure (now includes cls, ph, fat)
-    if (!packet.v || packet.t !== 'sig' || !packet.d || !packet.c || !packet.lim) {
-      return res.status(400).json({
-        error: 'Invalid SignalPacket structure',
-        message: 'Missing required fields: v, t, d, c, lim'
-      });
-    }
+    const ranked = Arbiter.arbitrate(envelope || Composer.composeEnvelope(packet), packet, arbiter.options);
+    Metrics.recordGeneration('competing_cards', gen);
+    res.json({ ...ranked, meta: { gen, ...cache, ...learnedMeta(learned) } });
+  } catch (error) {
+    console.error('Error generating competing cards:', error);
     
-    if (!packet.cls || packet.cls.length < 2) {
-      return res.status(400).json({
-        error: 'Invalid SignalPacket',
-        message: 'Missing or insufficient cls (allowed classes) field'
-      });
-    }
+    // Return fallback envelope on error
+    const fallback = Composer.composeEnvelope(packet);
+    Metrics.recordGeneration('competing_cards', 'fallback');
+    res.json({ ...Arbiter.arbitrate(fallback, packet, arbiter.options), meta: { gen: 'fallback', cache: 'miss', ...learnedMeta(learned) } });
+  }
+});
 
-    // Build the prompt for competing cards generation
-    const prompt = buildCompetingCardsPrompt(packet);
+// Resolve packet.loc (explicit, else Accept-Language, else en-US) so the
+// prompts, the template composer and the sanitizer all see one locale
+function withLocale(packet, req) {
+  return { ...packet, loc: Locale.resolveLocale(packet.loc, req.get('accept-language')) };
+}
 
-    // Call Claude
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1200,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
+// meta.ctx / meta.cls when feedback learning picked the classes
+function learnedMeta(learned) {
+  return learned ? { ctx: learned.ctx, cls: learned.cls } : {};
+}
+
+function readComposerMode(req) {
+  const mode = req.query.composer ? String(req.query.composer) : Composer.DEFAULT_COMPOSER_MODE;
+  if (!Composer.COMPOSER_MODES.includes(mode)) {
+    return { error: `composer must be one of: ${Composer.COMPOSER_MODES.join(', ')}` };
+  }
+  
+  // Over the client's rate limit in degrade mode (ratelimit.js) or past the
+  // daily model budget (usage.js): templates only
+  if (req.rateLimited) return { mode: 'template' };
+  if (Usage.isOverBudget()) return { mode: 'template', budgetSkip: mode !== 'template' };
+  
+  return { mode };
+}
+
+// Log a request the daily budget turned into templates as a skipped model call
+function recordBudgetSkip(composer, endpoint) {
+  if (!composer.budgetSkip) return;
+  Usage.recordUsage({ endpoint, model: LLM.modelParams(endpoint).model, ms: 0, fallback: true, reason: 'budget' });
+}
+
+// Model budget tokens for a card request: one per model call, none in template mode
+function modelCallCost(req, calls) {
+  return readComposerMode(req).mode === 'template' ? 0 : calls;
+}
+
+/**
+ * Run model generation under a composer mode. A null value means the
+ * caller composes from templates; gen is 'template' when that was planned
+ * (template mode, or hybrid without a key or over its time budget).
+ * @param {string} mode - model|template|hybrid
+ * @param {function({signal?: AbortSignal}): Promise<{value: Object|null, gen: string}>} generate
+ */
+async function composeWithModel(mode, generate) {
+  if (mode === 'template') return { value: null, gen: 'template' };
+  if (mode === 'model') return generate({});
+  
+  // Hybrid: only spend on the model when it is configured and fast enough
+  if (!LLM.isConfigured()) return { value: null, gen: 'template' };
+  
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), Composer.HYBRID_BUDGET_MS);
+  try {
+    return await generate({ signal: controller.signal });
+  } catch (error) {
+    if (!controller.signal.aborted) throw error;
+    console.warn(`⏱️ Hybrid composer: model over ${Composer.HYBRID_BUDGET_MS}ms budget, using template`);
+    return { value: null, gen: 'template' };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * composeWithModel behind the card cache. Template mode bypasses it (no model
+ * call to save); only model output is stored. Cached cards are re-sanitized
+ * against the current packet, so image/license fields come from its candidates.
+ * The model budget is charged on a miss only: hits are free, and a client over
+ * its rate limit still gets cached model cards before falling back to templates.
+ * @param {string} endpoint - Cache namespace
+ * @param {Object} packet - Validated packet, locale resolved
+ * @param {string} mode - model|template|hybrid
+ * @param {function} generate - As for composeWithModel
+ * @param {function(Object): Object} refresh - Re-sanitize a cached value for this packet
+ * @param {function(): string} charge - Charge the model budget (RateLimit.chargeBudget result)
+ * @returns {Promise<{value: Object|null, gen: string, cache: {cache: string, age?: number}}|null>}
+ *   null when the charge was refused (the 429 has been sent)
+ */
+async function composeCached(endpoint, packet, mode, generate, refresh, charge) {
+  if (mode === 'template') {
+    CardCache.recordBypass();
+    return { ...await composeWithModel(mode, generate), cache: { cache: 'bypass' } };
+  }
+  
+  // With the cache disabled (CARD_CACHE_TTL_SEC=0) every call is charged and reported as a bypass
+  const key = CardCache.CARD_CACHE_ENABLED ? CardCache.cardCacheKey(endpoint, packet) : null;
+  const hit = key && await CardCache.getCachedCards(key);
+  if (hit) {
+    return { value: refresh(hit.value), gen: hit.gen, cache: { cache: 'hit', age: hit.age } };
+  }
+  if (!key) CardCache.recordBypass();
+  const cache = { cache: key ? 'miss' : 'bypass' };
+  
+  const charged = charge();
+  if (charged === 'refused') return null;
+  if (charged === 'degraded') {
+    return { ...await composeWithModel('template', generate), cache };
+  }
+  
+  const result = await composeWithModel(mode, generate);
+  if (key) await CardCache.storeCachedCards(key, result.value, result.gen);
+  return { ...result, cache };
+}
+
+/**
+ * Read arbiter options from a request query
+ * @returns {{options: {strategy: string, epsilon: number, seed?: string}}|{error: string}}
+ */
+function readArbiterOptions(query) {
+  const strategy = query.strategy ? String(query.strategy) : Arbiter.DEFAULT_STRATEGY;
+  if (!Arbiter.hasStrategy(strategy)) {
+    return { error: `strategy must be one of: ${Arbiter.listStrategies().join(', ')}` };
+  }
+  
+  const epsilon = query.epsilon !== undefined ? Number(query.epsilon) : Arbiter.DEFAULT_EPSILON;
+  if (!Number.isFinite(epsilon) || epsilon < 0 || epsilon > 1) {
+    return { error: 'epsilon must be a number between 0 and 1' };
+  }
+  
+  const options = { strategy, epsilon };
+  if (query.seed) options.seed = String(query.seed);
+  return { options };
+}
+
+// =========================================================
+// STREAMING COMPETING CARDS (Server-Sent Events)
+// Emits each sanitized CardSpec as soon as it completes, then the envelope
+// =========================================================
+
+app.post('/api/competing-cards/stream', cardLimit, (req, res) => streamCompetingCards(req.body, req, res));
+
+// EventSource can't POST: GET takes the packet as ?packet=<base64url JSON>
+app.get('/api/competing-cards/stream', cardLimit, (req, res) => streamCompetingCards(decodeStreamPacket(req.query.packet), req, res));
+
+function decodeStreamPacket(encoded) {
+  if (typeof encoded !== 'string') return null;
+  try {
+    return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Stream competing cards over SSE:
+ *   event: card     -> one sanitized CardSpec (+ meta.gen, meta.i slot index)
+ *   event: envelope -> the final CardsEnvelope, ranked by the Arbiter (+ meta.gen: model|template|fallback|mixed)
+ * Cards that fail validation are skipped; any slot the model didn't fill
+ * (invalid card, truncation, mid-stream error, hybrid budget) gets a template
+ * card. Composer mode template skips the model entirely.
+ */
+async function streamCompetingCards(body, req, res) {
+  // Validate before committing to an event stream so errors stay plain 400s
+  const arbiter = readArbiterOptions(req.query);
+  if (arbiter.error) {
+    return res.status(400).json({ error: 'Invalid arbiter options', message: arbiter.error });
+  }
+  
+  const composer = readComposerMode(req);
+  if (composer.error) {
+    return res.status(400).json({ error: 'Invalid composer mode', message: composer.error });
+  }
+  
+  const errors = SignalPacket.validateSignalPacket(body, { competing: true });
+  if (errors.length > 0) {
+    return res.status(400).json(SignalPacket.signalPacketErrorResponse(errors));
+  }
+  
+  const learned = Feedback.chooseClasses(body);
+  const packet = withLocale(learned ? { ...body, cls: learned.cls } : body, req);
+  recordBudgetSkip(composer, 'competing_cards');
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const cards = [];
+  const gens = [];
+  const emitCard = (spec, gen) => {
+    cards.push(spec);
+    gens.push(gen);
+    sendEvent('card', { ...spec, meta: { gen, i: cards.length - 1 } });
+  };
+  
+  
+  // Stop paying for tokens nobody will read
+  const abort = new AbortController();
+  let stream = null;
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    abort.abort();
+    if (stream) stream.abort();
+  });
+  
+  // Template mode skips the model; hybrid stops waiting once its budget is spent
+  const useModel = composer.mode === 'model' || (composer.mode === 'hybrid' && LLM.isConfigured());
+  let fillGen = useModel ? 'fallback' : 'template';
+  let budgetTimer = null;
+  if (useModel && composer.mode === 'hybrid') {
+    budgetTimer = setTimeout(() => {
+      console.warn(`⏱️ Hybrid composer: stream over ${Composer.HYBRID_BUDGET_MS}ms budget, using template`);
+      fillGen = 'template';
+      abort.abort();
+      if (stream) stream.abort();
+    }, Composer.HYBRID_BUDGET_MS);
+  }
+  
+  if (useModel) {
+    const params = LLM.modelParams('competing_cards');
+    const streamUsage = { input_tokens: 0, output_tokens: 0 };
+    const startedAt = Date.now();
+    let streamFailed = false;
+    try {
+      const tool = CardSpec.emitCardsTool(packet);
+      stream = await LLM.streamMessage({
+        ...params,
+        tools: [tool],
+        tool_choice: { type: 'tool', name: tool.name },
+        messages: [{ role: 'user', content: buildCompetingCardsPrompt(packet) }]
+      }, { signal: abort.signal });
+      
+      const scanner = CardSpec.createCardScanner();
+      for await (const event of stream.events) {
+        if (event.type === 'message_start') {
+          streamUsage.input_tokens = event.message.usage?.input_tokens || 0;
+        } else if (event.type === 'message_delta' && event.usage) {
+          streamUsage.output_tokens = event.usage.output_tokens || 0;
         }
-      ]
+        
+        if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+          for (const spec of scanner.push(event.delta.partial_json)) {
+            if (cards.length >= 2) break;
+            
+            // Each card must use a packet class not already taken
+            const classes = packet.cls.filter(k => !cards.some(card => card.k === k));
+            const cardErrors = CardSpec.validateCardSpec(spec, packet, { path: `c[${cards.length}]`, classes });
+            if (cardErrors.length > 0) {
+              Metrics.recordParseFailure(tool.name, 'stream', 'invalid');
+              console.warn(`⚠️ Streamed card failed validation, skipping:\n${CardSpec.formatCardErrors(cardErrors)}`);
+              continue;
+            }
+            emitCard(Composer.sanitizeCardSpec(spec, packet), 'model');
+          }
+        } else if (event.type === 'message_delta' && event.delta.stop_reason === 'max_tokens') {
+          console.warn('⚠️ emit_cards stream truncated at max_tokens, filling with fallback');
+        }
+      }
+    } catch (error) {
+      if (!closed && !abort.signal.aborted) console.error('Error streaming competing cards:', error);
+      streamFailed = true;
+      Metrics.recordLlmError('competing_cards', abort.signal.aborted);
+    }
+    
+    if (!streamFailed) Metrics.recordLlmCall('competing_cards', params.model, Date.now() - startedAt);
+    
+    // Only model cards are in cards[] yet; any empty slot means a fallback fill
+    Usage.recordUsage({
+      endpoint: 'competing_cards',
+      model: params.model,
+      usage: streamUsage,
+      ms: Date.now() - startedAt,
+      fallback: cards.length < 2,
+      classes: cards.map(card => card.k),
+      reason: streamFailed ? (abort.signal.aborted ? 'aborted' : 'error') : undefined
     });
+  }
+  
+  clearTimeout(budgetTimer);
+  if (closed) return;
+  
+  // Fill remaining slots with template cards of unused classes and unused images
+  const fillClasses = Composer.composeEnvelope(packet).c.map(card => card.k)
+    .concat(packet.cls)
+    .filter((k, i, all) => all.indexOf(k) === i);
+  for (const k of fillClasses) {
+    if (cards.length >= 2) break;
+    if (cards.some(card => card.k === k)) continue;
+    emitCard(Composer.composeCard(k, packet, { exclude: cards.map(card => card.img?.id).filter(Boolean) }), fillGen);
+  }
+  
+  const gen = gens.every(g => g === gens[0]) ? gens[0] : 'mixed';
+  const ranked = Arbiter.arbitrate({ v: 1, t: 'cards', c: cards }, packet, arbiter.options);
+  Metrics.recordGeneration('competing_cards_stream', gen);
+  sendEvent('envelope', { ...ranked, meta: { gen, ...learnedMeta(learned) } });
+  res.end();
+}
+
+// =========================================================
+// CARD BATCH ENDPOINT
+// N CardSpecs for a feed segment in a few model calls
+// =========================================================
+
+app.post('/api/card-batch', batchLimit, async (req, res) => {
+  const composer = readComposerMode(req);
+  if (composer.error) {
+    return res.status(400).json({ error: 'Invalid composer mode', message: composer.error });
+  }
+  
+  // Body: { packets: [SignalPacket, ...] } or { packet: SignalPacket, n: slots }
+  const slots = readBatchSlots(req.body);
+  if (slots.errors) {
+    return res.status(400).json(SignalPacket.signalPacketErrorResponse(slots.errors));
+  }
+  const packets = slots.packets.map(packet => withLocale(packet, req));
+  recordBudgetSkip(composer, 'card_batch');
+  
+  // One model call (plus at most one repair) per chunk; chunks run in parallel
+  const chunks = [];
+  for (let i = 0; i < packets.length; i += CARD_BATCH_CHUNK_SIZE) {
+    chunks.push(packets.slice(i, i + CARD_BATCH_CHUNK_SIZE));
+  }
+  const results = await Promise.all(chunks.map(chunk => generateBatchChunk(chunk, composer.mode)));
+  
+  const { cards, gens } = enforceBatchConstraints(
+    packets,
+    results.flatMap(result => result.cards),
+    results.flatMap(result => result.cards.map(() => result.gen))
+  );
+  
+  const gen = gens.every(g => g === gens[0]) ? gens[0] : 'mixed';
+  Metrics.recordGeneration('card_batch', gen);
+  
+  res.json({
+    v: 1,
+    t: 'batch',
+    c: cards,
+    meta: {
+      gen,
+      slots: gens
+    }
+  });
+});
 
-    // Parse and validate CardsEnvelope response
-    const responseText = message.content[0].text;
-    const envelope = parseCompetingCardsResponse(responseText, packet);
+// Model calls a batch body will make (before validation; readBatchSlots enforces bounds)
+function batchChunkCount(body) {
+  const slots = Array.isArray(body?.packets) ? body.packets.length : Number.isInteger(body?.n) ? body.n : 1;
+  return Math.ceil(Math.min(Math.max(slots, 1), CARD_BATCH_MAX_SLOTS) / CARD_BATCH_CHUNK_SIZE);
+}
 
-    res.json(envelope);
+/**
+ * Read batch slots from the request body
+ * @returns {{packets: Object[]}|{errors: Array<{path: string, message: string}>}}
+ */
+function readBatchSlots(body) {
+  const prefixed = (errors, prefix) => errors.map(e => ({ path: e.path ? `${prefix}.${e.path}` : prefix, message: e.message }));
+  
+  if (Array.isArray(body?.packets)) {
+    if (body.packets.length < 1 || body.packets.length > CARD_BATCH_MAX_SLOTS) {
+      return { errors: [{ path: 'packets', message: `must hold 1 to ${CARD_BATCH_MAX_SLOTS} SignalPackets` }] };
+    }
+    const errors = body.packets.flatMap((packet, i) => prefixed(SignalPacket.validateSignalPacket(packet), `packets[${i}]`));
+    return errors.length > 0 ? { errors } : { packets: body.packets };
+  }
+  
+  if (body?.packet !== undefined) {
+    const errors = prefixed(SignalPacket.validateSignalPacket(body.packet), 'packet');
+    if (!Number.isInteger(body.n) || body.n < 1 || body.n > CARD_BATCH_MAX_SLOTS) {
+      errors.push({ path: 'n', message: `must be an integer between 1 and ${CARD_BATCH_MAX_SLOTS}` });
+    }
+    return errors.length > 0 ? { errors } : { packets: Array(body.n).fill(body.packet) };
+  }
+  
+  return { errors: [{ path: '', message: 'must have packets (array of SignalPackets) or packet plus n' }] };
+}
+
+/**
+ * Generate one chunk of batch slots
+ * @returns {Promise<{cards: Array<Object|null>, gen: string}>} null cards get template fallbacks
+ */
+async function generateBatchChunk(packets, mode) {
+  try {
+    const { value, gen } = await composeWithModel(mode, options => generateWithRepair(
+      buildBatchPrompt(packets),
+      'card_batch',
+      CardSpec.emitBatchTool(packets),
+      input => parseBatchResponse(input, packets),
+      { ...options, slots: packets.length }
+    ));
+    return { cards: value || packets.map(() => null), gen };
   } catch (error) {
-    console.error('Error generating competing cards:', error);
+    console.error('Error generating card batch chunk:', error);
+    return { cards: packets.map(() => null), gen: 'fallback' };
+  }
+}
+
+// Validate + sanitize an emit_batch tool input. Only a wrong shape is worth a
+// repair; a single bad card just loses its slot to a template card
+function parseBatchResponse(input, packets) {
+  if (!Array.isArray(input?.c) || input.c.length !== packets.length) {
+    return { value: null, errors: [{ path: 'c', message: `must be an array of exactly ${packets.length} CardSpecs (one per slot)` }] };
+  }
+  
+  const value = input.c.map((spec, i) => {
+    const classes = packets[i].cls || SignalPacket.CARD_CLASSES;
+    const errors = CardSpec.validateCardSpec(spec, packets[i], { path: `c[${i}]`, classes });
+    if (errors.length > 0) {
+      Metrics.recordParseFailure('emit_batch', 'slot', 'invalid');
+      console.warn(`⚠️ Batch card failed validation, using template:\n${CardSpec.formatCardErrors(errors)}`);
+      return null;
+    }
+    return Composer.sanitizeCardSpec(spec, packets[i]);
+  });
+  
+  return { value, errors: [] };
+}
+
+/**
+ * Apply cross-card rules in slot order: no image shown twice, adjacent slots
+ * differ in class, no class over its share. Model cards that break class rules,
+ * and empty slots, get template cards that satisfy them; a reused image is
+ * swapped for an unused one (or dropped).
+ */
+function enforceBatchConstraints(packets, generated, chunkGens) {
+  const maxPerClass = packets.length >= 4 ? Math.ceil(packets.length * CARD_BATCH_MAX_CLASS_SHARE) : packets.length;
+  const usedImages = [];
+  const classCounts = {};
+  const cards = [];
+  const gens = [];
+  
+  packets.forEach((packet, i) => {
+    let card = generated[i];
+    let gen = chunkGens[i];
+    const avoid = [cards[i - 1]?.k, ...Object.keys(classCounts).filter(k => classCounts[k] >= maxPerClass)].filter(Boolean);
     
-    // Return fallback envelope on error
-    const fallback = generateFallbackEnvelope(req.body);
-    res.json(fallback);
+    if (card && avoid.includes(card.k)) card = null;
+    
+    if (card?.img && usedImages.includes(card.img.id)) {
+      const img = Composer.pickImage(card.k, packet, usedImages, false);
+      card.img = Composer.licensedImageRef(img);
+      card.src = [...(img ? [{ r: 'img', id: img.id }] : []), ...card.src.filter(ref => ref.r !== 'img')];
+    }
+    
+    if (!card) {
+      card = Composer.composeSlotCard(packet, { exclude: usedImages, avoid });
+      gen = gen === 'template' ? 'template' : 'fallback';
+    }
+    
+    if (card.img) usedImages.push(card.img.id);
+    classCounts[card.k] = (classCounts[card.k] || 0) + 1;
+    cards.push(card);
+    gens.push(gen);
+  });
+  
+  return { cards, gens };
+}
+
+// Build prompt for a batch chunk; a packet shared by every slot is sent once
+function buildBatchPrompt(packets) {
+  const shared = new Set(packets.map(packet => JSON.stringify(packet))).size === 1;
+  const sameLanguage = new Set(packets.map(packet => packet.loc)).size === 1;
+  
+  const packetBlock = shared
+    ? `SIGNALPACKET (all ${packets.length} slots):\n${JSON.stringify(packets[0], null, 2)}`
+    : packets.map((packet, i) => `SLOT ${i + 1} SIGNALPACKET:\n${JSON.stringify(packet, null, 2)}`).join('\n\n');
+  
+  return `You are AppScroll Card Composer. Respond ONLY by calling the emit_batch tool. No commentary.
+Compose EXACTLY ${packets.length} CardSpecs for consecutive feed slots, in slot order.
+Use only each slot's packet candidates; do not invent data. Keep within each slot's lim. Never infer identity.
+${sameLanguage ? languageInstruction(packets[0]) : "LANGUAGE: Write each card's copy in the language of its slot packet's loc.\n"}
+${packetBlock}
+
+BATCH RULES:
+- c[i] is the card for slot i+1; its k must come from that slot's packet.cls (any class if cls is absent).
+- Never use the same image id twice; set img to null when a slot has no unused safe image.
+- Adjacent cards must use different classes; spread classes across the batch.
+- Stats come from packet.c.fin (by symbol), badges from packet.c.tag; every src ref must resolve to the slot's candidates.
+- Copy must be short, punchy, Tech-OS tone. Quotes must be grounding, not manipulative; no personal claims.
+- Respect fatigue: avoid high-fatigue classes unless strongly aligned with desire/phase.
+
+${CLASS_INTENTS}
+
+IMAGE LICENSE RULES:
+- ONLY use images from packet.c.img with a safe license (PD, CC0, CCBY, CCBYSA, NASA_PD); otherwise set img to null
+- cap: a factual 1-line description (under 80 chars) of what is shown`;
+}
+
+// =========================================================
+// DEVICE TOKEN ENDPOINT
+// An API-key client mints a signed token for one device, so the
+// app key never has to ship inside every request
+// =========================================================
+
+app.post('/api/auth/device-token', Auth.requireApiKey, cheapLimit, (req, res) => {
+  if (!Auth.deviceTokensEnabled()) {
+    return res.status(403).json({ error: 'Device tokens disabled', message: 'Set DEVICE_TOKEN_SECRET to enable device tokens' });
+  }
+  
+  const deviceId = req.body?.deviceId;
+  if (typeof deviceId !== 'string' || !Auth.DEVICE_ID_PATTERN.test(deviceId)) {
+    return res.status(400).json({
+      error: 'Invalid device id',
+      message: 'deviceId must be 1-128 letters, digits, "_" or "-"'
+    });
+  }
+  
+  const { token, exp } = Auth.signDeviceToken(req.client.keyId, deviceId);
+  res.status(201).json({ v: 1, t: 'device_token', token, exp });
+});
+
+// =========================================================
+// FEEDBACK ENDPOINT
+// Card outcomes feed per-context class reward estimates
+// =========================================================
+
+app.post('/api/feedback', cheapLimit, async (req, res) => {
+  const errors = Feedback.validateFeedback(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid feedback',
+      message: `${errors.length} field(s) failed validation: ${errors.map(e => e.path || '(root)').join(', ')}`,
+      errors
+    });
+  }
+  
+  try {
+    const estimate = await Feedback.recordFeedback(req.body);
+    res.status(201).json({ v: 1, t: 'feedback', ...estimate });
+  } catch (error) {
+    console.error('Error recording feedback:', error);
+    res.status(500).json({
+      error: 'Failed to record feedback',
+      message: error.message
+    });
   }
 });
 
+// =========================================================
+// ADMIN ENDPOINTS
+// Require ADMIN_TOKEN as a bearer token (Auth.requireAdmin); disabled when unset
+// =========================================================
+
+app.get('/api/admin/learning', Auth.requireAdmin, (req, res) => {
+  res.json({
+    v: 1,
+    t: 'learning',
+    ...Feedback.getLearningState(),
+    ts: new Date().toISOString()
+  });
+});
+
+// Token usage and estimated cost: daily rollups per endpoint and card class (?days=, default 7)
+app.get('/api/admin/usage', Auth.requireAdmin, (req, res) => {
+  const days = req.query.days === undefined ? undefined : parseInt(req.query.days);
+  if (days !== undefined && !(days >= 1 && days <= 90)) {
+    return res.status(400).json({ error: 'Invalid days', message: 'days must be an integer between 1 and 90' });
+  }
+  
+  res.json({
+    v: 1,
+    t: 'usage',
+    ...Usage.getUsageSummary(days),
+    ts: new Date().toISOString()
+  });
+});
+
+// Copy language line for the card prompts; empty for English
+function languageInstruction(packet) {
+  const locale = packet.loc || Locale.DEFAULT_LOCALE;
+  if (Locale.languageOf(locale) === 'en') return '';
+  return `LANGUAGE: Write all copy (ttl, sub, qt, img.cap, badge text, stat notes) in ${Locale.languageName(locale)} (${locale}). Keep class keys, ids, icons and stat directions as-is.\n`;
+}
+
+// Shared by the competing-cards and batch prompts
+const CLASS_INTENTS = `CLASS INTENTS:
+- sig_sum: headline "TODAY'S SIGNALS" + 1–2 stats + 2–3 badges + calm directive quote
+- flow_next: "NEXT MOVE" framing + 1–2 action-like stats (time/steps ok) + return-friendly language
+- calm_reset: reduce intensity; minimal stats; calming language; "MOMENT OF CALM" title
+- anomaly: highlight 1 surprising signal (outlier) using existing data; avoid sensationalism; "OUTLIER DETECTED" style
+- culture_lens: use image/art/history framing; connect to meaning; minimal stats; "DEEPER SIGNAL" style`;
+
 // Build prompt for competing cards generation
 function buildCompetingCardsPrompt(packet) {
-  const desireLabels = ['ORI', 'CONN', 'COMP', 'MEAN', 'REG'];
-  const desireStr = packet.d.map((p, i) => `${desireLabels[i]}:${Math.round(p * 100)}%`).join(' ');
+  const desireStr = packet.d.map((p, i) => `${SignalPacket.DESIRE_LABELS[i]}:${Math.round(p * 100)}%`).join(' ');
   const phaseMap = { 'hook': 'HOOK', 'lock': 'LOCK-IN', 'rein': 'REINFORCE', 'rel': 'RELEASE' };
   const phaseName = phaseMap[packet.ph] || packet.ph;
   
@@ -261,10 +1046,10 @@ function buildCompetingCardsPrompt(packet) {
     return `${cls}:${Math.round(fatVal * 100)}%`;
   }).join(' ');
   
-  return `You are AppScroll Card Composer. Output JSON only. No commentary. No markdown.
+  return `You are AppScroll Card Composer. Respond ONLY by calling the emit_cards tool. No commentary.
 You must return EXACTLY 2 competing card candidates using DIFFERENT classes from packet.cls.
 Use only packet candidates; do not invent data. Keep within packet.lim. Never infer identity.
-
+${languageInstruction(packet)}
 SIGNALPACKET:
 ${JSON.stringify(packet, null, 2)}
 
@@ -275,21 +1060,16 @@ CLASS FATIGUE: ${fatigueStr}
 ALLOWED CLASSES: ${packet.cls.join(', ')}
 
 TASK:
-- Generate exactly 2 CardSpec candidates inside a {"v":1,"t":"cards","c":[...]} envelope.
+- Generate exactly 2 CardSpec candidates inside a {"v":1,"t":"cards","c":[...]} envelope (the emit_cards input).
 - Each candidate MUST have a different "k" (card class) from packet.cls.
 - Choose image/stats/badges from packet.c.* only.
 - Copy must be short, punchy, Tech-OS tone.
 - Quotes must be grounding, not manipulative; no personal claims.
 - Respect fatigue: avoid high-fatigue classes unless strongly aligned with desire/phase.
 
-CLASS INTENTS:
-- sig_sum: headline "TODAY'S SIGNALS" + 1–2 stats + 2–3 badges + calm directive quote
-- flow_next: "NEXT MOVE" framing + 1–2 action-like stats (time/steps ok) + return-friendly language
-- calm_reset: reduce intensity; minimal stats; calming language; "MOMENT OF CALM" title
-- anomaly: highlight 1 surprising signal (outlier) using existing data; avoid sensationalism; "OUTLIER DETECTED" style
-- culture_lens: use image/art/history framing; connect to meaning; minimal stats; "DEEPER SIGNAL" style
+${CLASS_INTENTS}
 
-OUTPUT FORMAT (JSON only):
+OUTPUT FORMAT (emit_cards input):
 {
   "v": 1,
   "t": "cards",
@@ -325,12 +1105,11 @@ IMAGE CAPTION RULES:
 
 // Build prompt for artifact card generation
 function buildArtifactCardPrompt(packet) {
-  const desireLabels = ['ORI', 'CONN', 'COMP', 'MEAN', 'REG'];
-  const desireStr = packet.d.map((p, i) => `${desireLabels[i]}:${Math.round(p * 100)}%`).join(' ');
+  const desireStr = packet.d.map((p, i) => `${SignalPacket.DESIRE_LABELS[i]}:${Math.round(p * 100)}%`).join(' ');
   
-  return `You are a card composer for AppScroll. Output ONLY valid JSON matching CardSpec schema.
-NO commentary. NO markdown. Use ONLY provided candidates. Never infer identity.
-
+  return `You are a card composer for AppScroll. Respond ONLY by calling the emit_card tool with a CardSpec.
+NO commentary. Use ONLY provided candidates. Never infer identity.
+${languageInstruction(packet)}
 SIGNALPACKET:
 ${JSON.stringify(packet, null, 2)}
 
@@ -350,11 +1129,11 @@ HEURISTICS:
 - Night -> avoid high-arousal language
 - Prefer resolution over escalation
 
-OUTPUT CardSpec JSON ONLY:
+OUTPUT CardSpec (emit_card input):
 {
   "v": 1,
   "t": "card",
-  "k": "sig"|"calm"|"tool"|"culture",
+  "k": "${SignalPacket.CARD_CLASSES.join('"|"')}",
   "ttl": "TITLE",
   "sub": "subline",
   "img": {"id": "from packet.c.img", "u": "url", "cap": "1-line image description", "src": "IMAGE SOURCE"},
@@ -371,275 +1150,176 @@ IMAGE CAPTION RULES:
 - Make cap evocative but factual - describe WHAT is shown, not feelings`;
 }
 
-// Parse CardSpec from Claude response
-function parseCardSpecResponse(text, packet) {
-  try {
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const spec = JSON.parse(jsonMatch[0]);
-      
-      // Validate and sanitize
-      return sanitizeCardSpec(spec, packet);
+// =========================================================
+// VALIDATED GENERATION (model -> repair -> fallback)
+// =========================================================
+
+/**
+ * Call the model with a forced tool call and validate its input; on validation
+ * failure, return the errors as an error tool_result for ONE repair attempt.
+ * Truncated (max_tokens) or missing tool calls go straight to fallback.
+ * Every model call is recorded in usage accounting.
+ * @param {string} prompt
+ * @param {string} endpoint - LLM config + usage key (artifact_card, competing_cards, card_batch)
+ * @param {Object} tool - Anthropic tool definition (emit_card / emit_cards)
+ * @param {function(Object): {value: Object|null, errors: Array}} parse - Validates + sanitizes the tool input
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts in-flight model calls (hybrid composer budget)
+ * @param {number} [options.slots] - Cards requested, for per-slot max_tokens (card_batch)
+ * @returns {Promise<{value: Object|null, gen: 'model'|'repaired'|'fallback'}>} value is null on fallback
+ */
+async function generateWithRepair(prompt, endpoint, tool, parse, { signal, slots = 1 } = {}) {
+  const request = {
+    ...LLM.modelParams(endpoint, slots),
+    tools: [tool],
+    tool_choice: { type: 'tool', name: tool.name }
+  };
+  
+  // Calls are recorded once the outcome (fallback or not, classes produced) is known
+  const calls = [];
+  const callModel = async params => {
+    const startedAt = Date.now();
+    let message;
+    try {
+      message = await LLM.createMessage(params, { signal });
+    } catch (error) {
+      calls.push({ ms: Date.now() - startedAt, reason: signal?.aborted ? 'aborted' : 'error' });
+      Metrics.recordLlmError(endpoint, Boolean(signal?.aborted));
+      throw error;
     }
-  } catch (e) {
-    console.error('Failed to parse CardSpec JSON:', e);
-  }
+    calls.push({ usage: message.usage, ms: Date.now() - startedAt });
+    Metrics.recordLlmCall(endpoint, params.model, Date.now() - startedAt);
+    return message;
+  };
+  const settle = result => {
+    for (const call of calls) {
+      Usage.recordUsage({ endpoint, model: request.model, ...call, fallback: result.gen === 'fallback', classes: cardClassesOf(result.value) });
+    }
+    return result;
+  };
   
-  // Return fallback
-  return generateFallbackCardSpec(packet);
-}
-
-// Parse CardsEnvelope from Claude response
-function parseCompetingCardsResponse(text, packet) {
   try {
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const envelope = JSON.parse(jsonMatch[0]);
-      
-      // Validate envelope structure
-      if (envelope.v === 1 && envelope.t === 'cards' && Array.isArray(envelope.c)) {
-        // Sanitize each card
-        const sanitizedCards = envelope.c.map(spec => sanitizeCardSpec(spec, packet));
-        
-        // Ensure distinct classes
-        const classes = sanitizedCards.map(s => s.k);
-        if (new Set(classes).size === classes.length) {
-          return {
-            v: 1,
-            t: 'cards',
-            c: sanitizedCards
-          };
-        }
-      }
-    }
-  } catch (e) {
-    console.error('Failed to parse CardsEnvelope JSON:', e);
+    return settle(await runWithRepair(prompt, request, tool, parse, callModel));
+  } catch (error) {
+    settle({ value: null, gen: 'fallback' });
+    throw error;
   }
-  
-  // Return fallback
-  return generateFallbackEnvelope(packet);
 }
 
-// Sanitize CardSpec to enforce limits and safety
-function sanitizeCardSpec(spec, packet) {
-  const lim = packet.lim;
+async function runWithRepair(prompt, request, tool, parse, callModel) {
+  const messages = [{ role: 'user', content: prompt }];
   
-  // Enforce string limits
-  if (spec.ttl && spec.ttl.length > lim.ttl) {
-    spec.ttl = spec.ttl.slice(0, lim.ttl);
-  }
-  if (spec.sub && spec.sub.length > lim.sub) {
-    spec.sub = spec.sub.slice(0, lim.sub);
-  }
-  if (spec.qt && spec.qt.length > lim.qt) {
-    spec.qt = spec.qt.slice(0, lim.qt);
+  const message = await callModel({ ...request, messages });
+  const call = readToolCall(message, tool.name);
+  if (call.error) {
+    Metrics.recordParseFailure(tool.name, 'first', 'no_tool_call');
+    console.warn(`⚠️ ${tool.name}: ${call.error}, using fallback`);
+    return { value: null, gen: 'fallback' };
   }
   
-  // Enforce array limits
-  if (spec.st && spec.st.length > lim.st) {
-    spec.st = spec.st.slice(0, lim.st);
-  }
-  if (spec.bg && spec.bg.length > lim.bg) {
-    spec.bg = spec.bg.slice(0, lim.bg);
-  }
+  const first = parse(call.input);
+  if (first.errors.length === 0) return { value: first.value, gen: 'model' };
   
-  // Safety check: remove creepy personalization
-  const unsafePatterns = ['you seem', 'i know you', 'your mood', 'your feelings', 'your identity'];
-  const qtLower = (spec.qt || '').toLowerCase();
-  const ttlLower = (spec.ttl || '').toLowerCase();
+  Metrics.recordParseFailure(tool.name, 'first', 'invalid');
+  console.warn(`🔧 Card output failed validation, requesting repair:\n${CardSpec.formatCardErrors(first.errors)}`);
   
-  for (const pattern of unsafePatterns) {
-    if (qtLower.includes(pattern) || ttlLower.includes(pattern)) {
-      spec.qt = 'SIGNALS NOTED. CARRY ON.';
-      break;
-    }
+  const repairMessage = await callModel({
+    ...request,
+    messages: [
+      ...messages,
+      { role: 'assistant', content: message.content },
+      {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: call.id, is_error: true, content: buildRepairPrompt(first.errors, tool.name) }]
+      }
+    ]
+  });
+  
+  const repairCall = readToolCall(repairMessage, tool.name);
+  if (repairCall.error) {
+    Metrics.recordParseFailure(tool.name, 'repair', 'no_tool_call');
+    console.warn(`⚠️ ${tool.name} repair: ${repairCall.error}, using fallback`);
+    return { value: null, gen: 'fallback' };
   }
   
-  // Ensure required fields
-  spec.v = 1;
-  spec.t = 'card';
+  const repaired = parse(repairCall.input);
+  if (repaired.errors.length === 0) return { value: repaired.value, gen: 'repaired' };
   
-  // Validate card class
-  const validClasses = ['sig_sum', 'flow_next', 'calm_reset', 'anomaly', 'culture_lens'];
-  if (!validClasses.includes(spec.k)) {
-    spec.k = 'sig_sum';
+  Metrics.recordParseFailure(tool.name, 'repair', 'invalid');
+  console.warn(`⚠️ Repaired card output still invalid, using fallback:\n${CardSpec.formatCardErrors(repaired.errors)}`);
+  return { value: null, gen: 'fallback' };
+}
+
+// Card classes in a generated CardSpec, CardsEnvelope or batch (null slots skipped)
+function cardClassesOf(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.filter(Boolean).map(spec => spec.k);
+  if (Array.isArray(value.c)) return value.c.map(spec => spec.k);
+  return [value.k];
+}
+
+function buildRepairPrompt(errors, toolName) {
+  return `Your ${toolName} input failed validation:
+${CardSpec.formatCardErrors(errors)}
+
+Fix ONLY these problems and call ${toolName} again with the full corrected input.
+Every id must come from the SIGNALPACKET candidates.`;
+}
+
+/**
+ * Find the named tool_use block in a Claude response
+ * @returns {{id: string, input: Object}|{error: string}}
+ */
+function readToolCall(message, toolName) {
+  // A truncated tool call has incomplete input; never trust it
+  if (message.stop_reason === 'max_tokens') {
+    return { error: 'response truncated at max_tokens' };
   }
   
-  spec.by = spec.by || 'SignalEngine';
-  spec.src = spec.src || [];
+  const block = message.content.find(b => b.type === 'tool_use' && b.name === toolName);
+  if (!block) return { error: `no ${toolName} tool call in response` };
   
-  return spec;
+  return { id: block.id, input: block.input };
 }
 
-// Generate deterministic fallback CardsEnvelope
-function generateFallbackEnvelope(packet) {
-  const allowedClasses = packet.cls || ['sig_sum', 'calm_reset'];
-  
-  // Pick first two allowed classes
-  const class1 = allowedClasses[0] || 'sig_sum';
-  const class2 = allowedClasses[1] || (class1 === 'sig_sum' ? 'calm_reset' : 'sig_sum');
+// Validate + sanitize an emit_card tool input
+function parseCardSpecResponse(input, packet) {
+  const errors = CardSpec.validateCardSpec(input, packet);
+  return { value: errors.length === 0 ? Composer.sanitizeCardSpec(input, packet) : null, errors };
+}
+
+// Validate + sanitize an emit_cards tool input
+function parseCompetingCardsResponse(input, packet) {
+  const errors = CardSpec.validateCardsEnvelope(input, packet);
+  if (errors.length > 0) return { value: null, errors };
   
   return {
-    v: 1,
-    t: 'cards',
-    c: [
-      generateCardSpecForClass(class1, packet),
-      generateCardSpecForClass(class2, packet)
-    ]
+    value: {
+      v: 1,
+      t: 'cards',
+      c: input.c.map(spec => Composer.sanitizeCardSpec(spec, packet))
+    },
+    errors
   };
 }
 
-// Generate a CardSpec for a specific class
-function generateCardSpecForClass(cardClass, packet) {
-  const now = new Date();
-  const dateStr = now.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  const timeStr = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
-  
-  const img = packet.c?.img?.[0] || null;
-  
-  // Helper to create image ref with license info
-  const makeImageRef = (imgCandidate) => {
-    if (!imgCandidate) return null;
-    return {
-      id: imgCandidate.id,
-      u: imgCandidate.u,
-      cap: imgCandidate.ttl || null,
-      src: imgCandidate.src || null,
-      lic: imgCandidate.lic || null,
-      att: imgCandidate.att || null,
-      link: imgCandidate.link || null
-    };
-  };
-  
-  switch (cardClass) {
-    case 'flow_next':
-      return {
-        v: 1,
-        t: 'card',
-        k: 'flow_next',
-        ttl: 'NEXT MOVE',
-        sub: 'Your forward path',
-        img: null,
-        st: [
-          { l: 'TIME', v: '~5 min', d: 'flat', n: null },
-          { l: 'ACTION', v: 'Return', d: 'up', n: null }
-        ],
-        qt: 'MOVE FORWARD. RETURN WHEN READY.',
-        by: 'SignalEngine',
-        bg: [{ i: 'bolt', t: 'action ready' }],
-        src: []
-      };
-      
-    case 'calm_reset':
-      return {
-        v: 1,
-        t: 'card',
-        k: 'calm_reset',
-        ttl: 'MOMENT OF CALM',
-        sub: 'A pause in the signal stream',
-        img: makeImageRef(img),
-        st: [],
-        qt: 'BREATHE. THE WORLD KEEPS TURNING.',
-        by: 'SignalEngine',
-        bg: [{ i: 'leaf', t: 'settle' }],
-        src: img ? [{ r: 'img', id: img.id }] : []
-      };
-      
-    case 'anomaly':
-      const anomalyStat = packet.c?.fin?.find(f => Math.abs(f.ch) > 5) || packet.c?.fin?.[0];
-      return {
-        v: 1,
-        t: 'card',
-        k: 'anomaly',
-        ttl: 'OUTLIER DETECTED',
-        sub: 'Unusual signal activity',
-        img: null,
-        st: anomalyStat ? [{
-          l: anomalyStat.sym,
-          v: `${anomalyStat.ch >= 0 ? '+' : ''}${anomalyStat.ch.toFixed(1)}%`,
-          d: anomalyStat.ch >= 0 ? 'up' : 'dn',
-          n: Math.abs(anomalyStat.ch) > 10 ? 'Spike' : null
-        }] : [],
-        qt: 'NOTED. MONITOR AND PROCEED.',
-        by: 'SignalEngine',
-        bg: [{ i: 'shield', t: 'anomaly' }],
-        src: anomalyStat ? [{ r: 'fin', id: anomalyStat.id }] : []
-      };
-      
-    case 'culture_lens':
-      const artImg = packet.c?.img?.find(i => i.k === 'art' || i.k === 'space') || img;
-      return {
-        v: 1,
-        t: 'card',
-        k: 'culture_lens',
-        ttl: 'DEEPER SIGNAL',
-        sub: 'A moment of perspective',
-        img: makeImageRef(artImg),
-        st: [],
-        qt: 'PERSPECTIVE SHIFTS. MEANING EMERGES.',
-        by: 'SignalEngine',
-        bg: [{ i: 'star', t: 'meaning' }],
-        src: artImg ? [{ r: 'img', id: artImg.id }] : []
-      };
-      
-    case 'sig_sum':
-    default:
-      const stats = (packet.c?.fin || []).slice(0, 2).map(fin => ({
-        l: fin.sym,
-        v: fin.px > 0 ? `$${fin.px.toLocaleString()}` : `${fin.ch >= 0 ? '+' : ''}${fin.ch.toFixed(1)}%`,
-        d: fin.ch >= 0 ? 'up' : 'dn',
-        n: Math.abs(fin.ch) > 5 ? (fin.ch > 0 ? 'Surge' : 'Drop') : null
-      }));
-      
-      const badges = (packet.c?.tag || []).slice(0, 3).map(tag => ({
-        i: iconForTag(tag),
-        t: tag
-      }));
-      
-      return {
-        v: 1,
-        t: 'card',
-        k: 'sig_sum',
-        ttl: "TODAY'S SIGNALS",
-        sub: `${dateStr} · ${timeStr} · ${(packet.m || 'sync').charAt(0).toUpperCase() + (packet.m || 'sync').slice(1)}`,
-        img: makeImageRef(img),
-        st: stats,
-        qt: 'SIGNALS NOTED. CARRY ON.',
-        by: 'SignalEngine',
-        bg: badges,
-        src: buildSources(packet)
-      };
-  }
-}
-
-function iconForTag(tag) {
-  const lower = tag.toLowerCase();
-  if (lower.includes('calm') || lower.includes('settle')) return 'leaf';
-  if (lower.includes('active') || lower.includes('system')) return 'bolt';
-  if (lower.includes('morning') || lower.includes('sun')) return 'sun';
-  if (lower.includes('evening') || lower.includes('night')) return 'moon';
-  if (lower.includes('focus')) return 'target';
-  return 'chart';
-}
-
-function buildSources(packet) {
-  const sources = [];
-  if (packet.c?.img?.[0]) sources.push({ r: 'img', id: packet.c.img[0].id });
-  (packet.c?.fin || []).slice(0, 2).forEach(f => sources.push({ r: 'fin', id: f.id }));
-  return sources;
-}
-
-// Legacy single-card fallback (backward compatibility)
-function generateFallbackCardSpec(packet) {
-  return generateCardSpecForClass('sig_sum', packet);
-}
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 AppScroll backend running on port ${PORT}`);
-  console.log(`📍 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔍 WebScout Candidates: GET http://localhost:${PORT}/api/candidates`);
-  console.log(`🧠 Insight API: POST http://localhost:${PORT}/api/insight`);
-  console.log(`🎴 Artifact Card API: POST http://localhost:${PORT}/api/artifact-card`);
-  console.log(`🎯 Competing Cards API: POST http://localhost:${PORT}/api/competing-cards`);
-});
+// Start server when run directly; tests require the app and listen on their own port
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 AppScroll backend running on port ${PORT}`);
+    console.log(`📍 Health check: http://localhost:${PORT}/health`);
+    console.log(`🤖 LLM provider: ${LLM.getProviderName()}${LLM.isConfigured() ? '' : ' (not configured)'}`);
+    console.log(`🔍 WebScout Candidates: GET http://localhost:${PORT}/api/candidates`);
+    console.log(`🗂️  WebScout Sources: GET http://localhost:${PORT}/api/sources`);
+    console.log(`🧠 Insight API: POST http://localhost:${PORT}/api/insight`);
+    console.log(`🎴 Artifact Card API: POST http://localhost:${PORT}/api/artifact-card`);
+    console.log(`🎯 Competing Cards API: POST http://localhost:${PORT}/api/competing-cards`);
+    console.log(`📡 Competing Cards Stream: GET|POST http://localhost:${PORT}/api/competing-cards/stream`);
+    console.log(`🗃️  Card Batch API: POST http://localhost:${PORT}/api/card-batch`);
+    console.log(`📈 Feedback API: POST http://localhost:${PORT}/api/feedback`);
+    console.log(`📊 Metrics: GET http://localhost:${PORT}/metrics${process.env.METRICS_TOKEN ? ' (token)' : ''}`);
+    console.log(`🔐 Auth: ${Auth.AUTH_MODE}${CORS_ORIGINS.length ? `, CORS origins: ${CORS_ORIGINS.join(', ')}` : ''}`);
+  });
+}
+
+module.exports = { app };
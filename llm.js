@@ -0,0 +1,234 @@
+// =========================================================
+// LLM - Model provider layer
+// =========================================================
+// Generation endpoints talk to a provider, not to the Anthropic SDK.
+// Requests and responses keep the Anthropic Messages shape (tool_use
+// content blocks, stop_reason, input_json_delta stream events); a
+// provider only has to speak it. LLM_PROVIDER picks the provider:
+// 'anthropic' (default) or 'mock', which replays local fixtures
+// =========================================================
+
+const fs = require('fs');
+const path = require('path');
+const Anthropic = require('@anthropic-ai/sdk');
+
+// =========================================================
+// MODEL SETTINGS
+// =========================================================
+
+const DEFAULT_MODEL = process.env.LLM_MODEL || 'claude-sonnet-4-20250514';
+
+// Default max_tokens per endpoint; card_batch is per slot
+const DEFAULT_MAX_TOKENS = {
+  insight: 500,
+  artifact_card: 800,
+  competing_cards: 1200,
+  card_batch: 600
+};
+
+/**
+ * Model settings for an endpoint. Env overrides, most specific first:
+ *   LLM_MODEL_<ENDPOINT> / LLM_MODEL
+ *   LLM_MAX_TOKENS_<ENDPOINT>
+ *   LLM_TEMPERATURE_<ENDPOINT> / LLM_TEMPERATURE (omitted -> provider default)
+ * @param {string} endpoint - DEFAULT_MAX_TOKENS key
+ * @returns {{model: string, maxTokens: number, temperature: number|undefined}}
+ */
+function getModelConfig(endpoint) {
+  const suffix = endpoint.toUpperCase();
+  const temperature = parseFloat(process.env[`LLM_TEMPERATURE_${suffix}`] ?? process.env.LLM_TEMPERATURE);
+  
+  return {
+    model: process.env[`LLM_MODEL_${suffix}`] || DEFAULT_MODEL,
+    maxTokens: parseInt(process.env[`LLM_MAX_TOKENS_${suffix}`]) || DEFAULT_MAX_TOKENS[endpoint] || 1024,
+    temperature: Number.isFinite(temperature) ? temperature : undefined
+  };
+}
+
+/**
+ * Request params (model, max_tokens, temperature) for an endpoint
+ * @param {string} endpoint
+ * @param {number} [slots=1] - Multiplies max_tokens for per-slot budgets (card_batch)
+ */
+function modelParams(endpoint, slots = 1) {
+  const { model, maxTokens, temperature } = getModelConfig(endpoint);
+  return {
+    model,
+    max_tokens: maxTokens * slots,
+    ...(temperature !== undefined ? { temperature } : {})
+  };
+}
+
+// =========================================================
+// PROVIDER REGISTRY
+// =========================================================
+// A provider is created once, on first use:
+//   factory() -> {
+//     configured: boolean,
+//     createMessage(params, { signal }) -> Promise<Message>,
+//     streamMessage(params, { signal }) -> Promise<{ events: AsyncIterable<StreamEvent>, abort() }>
+//   }
+
+const providerRegistry = new Map();
+
+function registerProvider(name, factory) {
+  providerRegistry.set(name, factory);
+}
+
+function listProviders() {
+  return Array.from(providerRegistry.keys());
+}
+
+// Anthropic Messages API (ANTHROPIC_API_KEY)
+registerProvider('anthropic', () => {
+  const client = new Anthropic();
+  
+  return {
+    configured: Boolean(process.env.ANTHROPIC_API_KEY),
+    createMessage(params, { signal } = {}) {
+      return client.messages.create(params, { signal });
+    },
+    async streamMessage(params, { signal } = {}) {
+      const stream = await client.messages.create({ ...params, stream: true }, { signal });
+      return { events: stream, abort: () => stream.controller.abort() };
+    }
+  };
+});
+
+// Deterministic fixture replay for running the card pipeline offline
+registerProvider('mock', () => createMockProvider(process.env.LLM_MOCK_FIXTURES || path.join(__dirname, 'fixtures', 'llm')));
+
+const PROVIDER_NAME = process.env.LLM_PROVIDER || 'anthropic';
+let provider = null;
+
+function getProvider() {
+  if (provider) return provider;
+  
+  const factory = providerRegistry.get(PROVIDER_NAME);
+  if (!factory) throw new Error(`Unknown LLM provider: ${PROVIDER_NAME} (one of: ${listProviders().join(', ')})`);
+  provider = factory();
+  return provider;
+}
+
+function getProviderName() {
+  return PROVIDER_NAME;
+}
+
+// Whether the provider can serve requests (false -> hybrid/template paths skip the model)
+function isConfigured() {
+  try {
+    return getProvider().configured;
+  } catch (error) {
+    return false;
+  }
+}
+
+function createMessage(params, options) {
+  return getProvider().createMessage(params, options);
+}
+
+function streamMessage(params, options) {
+  return getProvider().streamMessage(params, options);
+}
+
+// =========================================================
+// MOCK PROVIDER
+// =========================================================
+// Fixtures are <dir>/<tool name>.json: one response or an array
+// replayed in order (then repeating the last). A response is
+//   { "input": {...}, "stop_reason"?: "tool_use" | "max_tokens" }
+// for a tool call, or { "text": "..." } for a plain reply
+
+// Characters per input_json_delta event when streaming a fixture
+const MOCK_STREAM_CHUNK = 32;
+
+/**
+ * @param {string} dir - Fixture directory
+ */
+function createMockProvider(dir) {
+  const replayed = new Map(); // tool name -> responses served
+  let calls = 0;
+  
+  const nextResponse = params => {
+    const toolName = params.tool_choice?.name || 'text';
+    const file = path.join(dir, `${toolName}.json`);
+    
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Mock LLM: no usable fixture ${file} (${error.message})`);
+    }
+    
+    const responses = Array.isArray(fixture) ? fixture : [fixture];
+    const served = replayed.get(toolName) || 0;
+    replayed.set(toolName, served + 1);
+    return { toolName, response: responses[Math.min(served, responses.length - 1)] };
+  };
+  
+  const toMessage = (params, { toolName, response }) => {
+    calls++;
+    const content = response.text !== undefined
+      ? [{ type: 'text', text: response.text }]
+      : [{ type: 'tool_use', id: `toolu_mock_${calls}`, name: toolName, input: response.input }];
+    
+    // Rough 4-chars-per-token usage so callers see plausible numbers
+    return {
+      id: `msg_mock_${calls}`,
+      type: 'message',
+      role: 'assistant',
+      model: params.model,
+      content,
+      stop_reason: response.stop_reason || (response.text !== undefined ? 'end_turn' : 'tool_use'),
+      usage: {
+        input_tokens: Math.ceil(JSON.stringify(params.messages).length / 4),
+        output_tokens: Math.ceil(JSON.stringify(content).length / 4)
+      }
+    };
+  };
+  
+  return {
+    configured: true,
+    async createMessage(params, { signal } = {}) {
+      if (signal?.aborted) throw new Error('Request was aborted.');
+      return toMessage(params, nextResponse(params));
+    },
+    async streamMessage(params, { signal } = {}) {
+      const message = toMessage(params, nextResponse(params));
+      const block = message.content[0];
+      const json = block.type === 'tool_use' ? JSON.stringify(block.input) : '';
+      let aborted = false;
+      
+      async function* events() {
+        yield { type: 'message_start', message: { ...message, content: [], stop_reason: null } };
+        yield { type: 'content_block_start', index: 0, content_block: block.type === 'tool_use' ? { ...block, input: {} } : block };
+        for (let i = 0; i < json.length; i += MOCK_STREAM_CHUNK) {
+          if (aborted || signal?.aborted) throw new Error('Request was aborted.');
+          yield { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: json.slice(i, i + MOCK_STREAM_CHUNK) } };
+        }
+        yield { type: 'content_block_stop', index: 0 };
+        yield { type: 'message_delta', delta: { stop_reason: message.stop_reason }, usage: { output_tokens: message.usage.output_tokens } };
+        yield { type: 'message_stop' };
+      }
+      
+      return { events: events(), abort: () => { aborted = true; } };
+    }
+  };
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  DEFAULT_MODEL,
+  getModelConfig,
+  modelParams,
+  registerProvider,
+  listProviders,
+  getProviderName,
+  isConfigured,
+  createMessage,
+  streamMessage,
+  createMockProvider
+};
@@ -0,0 +1,124 @@
+// =========================================================
+// LOCALE - Card language and formatting
+// =========================================================
+// Resolves the locale a card is written in (packet.loc, else the
+// best Accept-Language match with a copy bank, else en-US) and
+// formats dates, times, prices and percent changes for it
+// =========================================================
+
+const { COPY_BANKS } = require('./copybank');
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Languages the template composer has copy for
+const COPY_LANGUAGES = Object.keys(COPY_BANKS);
+
+// =========================================================
+// RESOLUTION
+// =========================================================
+
+/**
+ * Canonical BCP 47 tag, or null if the tag is malformed
+ * @param {string} tag
+ */
+function canonicalLocale(tag) {
+  try {
+    return Intl.getCanonicalLocales(tag)[0] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the card locale. An explicit packet locale always wins (the
+ * model can write any language; template copy falls back to English).
+ * Accept-Language only picks languages with a copy bank.
+ * @param {string} [loc] - packet.loc
+ * @param {string} [acceptLanguage] - Accept-Language header
+ * @returns {string} Canonical locale tag
+ */
+function resolveLocale(loc, acceptLanguage) {
+  if (loc) return canonicalLocale(loc) || DEFAULT_LOCALE;
+  
+  for (const tag of parseAcceptLanguage(acceptLanguage)) {
+    const locale = canonicalLocale(tag);
+    if (locale && COPY_LANGUAGES.includes(languageOf(locale))) return locale;
+  }
+  
+  return DEFAULT_LOCALE;
+}
+
+// "es-MX,es;q=0.9,en;q=0.5" -> ['es-MX', 'es', 'en'] (by q, wildcards dropped)
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+  
+  return String(header).split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(p => p.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { tag: tag.trim(), q: Number.isFinite(q) ? q : 0, i };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map(entry => entry.tag);
+}
+
+function languageOf(locale) {
+  return String(locale || DEFAULT_LOCALE).split('-')[0].toLowerCase();
+}
+
+/**
+ * English name of a locale's language, for prompts ("es-MX" -> "Spanish")
+ */
+function languageName(locale) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(languageOf(locale)) || locale;
+  } catch (e) {
+    return locale;
+  }
+}
+
+// =========================================================
+// FORMATTING
+// =========================================================
+
+function formatDate(date, locale) {
+  return date.toLocaleDateString(locale, { month: 'short', day: 'numeric' });
+}
+
+function formatTime(date, locale) {
+  return date.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' });
+}
+
+// Finance candidates carry no currency; prices are USD
+function formatPrice(px, locale) {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency: 'USD', minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(px);
+}
+
+// Percent change with explicit sign: 6.2 -> "+6.2%" (en), "+6,2 %" (fr)
+function formatChange(ch, locale) {
+  return new Intl.NumberFormat(locale, {
+    style: 'percent',
+    signDisplay: 'always',
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1
+  }).format(ch / 100);
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  DEFAULT_LOCALE,
+  COPY_LANGUAGES,
+  canonicalLocale,
+  resolveLocale,
+  languageOf,
+  languageName,
+  formatDate,
+  formatTime,
+  formatPrice,
+  formatChange
+};
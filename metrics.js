@@ -0,0 +1,201 @@
+// =========================================================
+// METRICS - Prometheus counters and histograms
+// =========================================================
+// A small in-process registry rendered in the Prometheus text
+// exposition format (0.0.4) at GET /metrics: HTTP routes, model
+// calls, card generation outcomes and WebScout source runs
+// =========================================================
+
+const METRIC_PREFIX = 'appscroll_';
+
+// =========================================================
+// REGISTRY
+// =========================================================
+
+const registry = [];
+
+/**
+ * Counter with labels
+ * @param {string} name - Without prefix; should end in _total
+ * @param {string} help
+ * @param {string[]} labelNames
+ */
+function counter(name, help, labelNames = []) {
+  const series = new Map(); // label key -> { labels, value }
+  
+  const metric = {
+    name: METRIC_PREFIX + name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pick(labelNames, labels), value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    lines() {
+      return Array.from(series.values()).map(entry => `${metric.name}${formatLabels(entry.labels)} ${entry.value}`);
+    }
+  };
+  
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Histogram with labels (cumulative buckets + _sum + _count)
+ * @param {string} name - Without prefix; unit suffix such as _seconds
+ * @param {string} help
+ * @param {string[]} labelNames
+ * @param {number[]} buckets - Ascending upper bounds (+Inf is implicit)
+ */
+function histogram(name, help, labelNames, buckets) {
+  const series = new Map(); // label key -> { labels, counts, sum, count }
+  
+  const metric = {
+    name: METRIC_PREFIX + name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pick(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    lines() {
+      return Array.from(series.values()).flatMap(entry => [
+        ...buckets.map((bound, i) => `${metric.name}_bucket${formatLabels({ ...entry.labels, le: String(bound) })} ${entry.counts[i]}`),
+        `${metric.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+        `${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+        `${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`
+      ]);
+    }
+  };
+  
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * All metrics in Prometheus text format
+ */
+function renderMetrics() {
+  return registry
+    .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()].join('\n'))
+    .join('\n') + '\n';
+}
+
+// =========================================================
+// METRICS
+// =========================================================
+
+const HTTP_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const LLM_BUCKETS = [0.25, 0.5, 1, 2, 4, 8, 16, 32, 64];
+const FETCH_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 4, 8, 16];
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request duration (SSE: whole stream)', ['method', 'route'], HTTP_BUCKETS);
+
+const llmCalls = counter('llm_calls_total', 'Model calls that returned', ['endpoint', 'model']);
+const llmErrors = counter('llm_call_errors_total', 'Model calls that threw (aborted: hybrid budget or client gone)', ['endpoint', 'reason']);
+const llmDuration = histogram('llm_call_duration_seconds', 'Model call latency (streams: until the last event)', ['endpoint'], LLM_BUCKETS);
+
+const generations = counter('generations_total', 'Generation responses by gen (model, repaired, template, fallback, mixed)', ['endpoint', 'gen']);
+const parseFailures = counter('card_parse_failures_total', 'Model tool output rejected (stage: first, repair, stream, slot)', ['tool', 'stage', 'reason']);
+
+const webscoutFetches = counter('webscout_fetches_total', 'WebScout source runs', ['source']);
+const webscoutErrors = counter('webscout_fetch_errors_total', 'WebScout source runs that failed', ['source']);
+const webscoutCandidates = counter('webscout_candidates_total', 'Candidates yielded by WebScout sources', ['source']);
+const webscoutDuration = histogram('webscout_fetch_duration_seconds', 'WebScout source run latency', ['source'], FETCH_BUCKETS);
+
+// =========================================================
+// RECORDING
+// =========================================================
+
+/**
+ * Express middleware timing every request. Mount before the routes;
+ * the route label is the matched pattern, so ids never explode cardinality.
+ */
+function httpMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: String(res.statusCode) });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  
+  next();
+}
+
+function recordLlmCall(endpoint, model, ms) {
+  llmCalls.inc({ endpoint, model });
+  llmDuration.observe({ endpoint }, ms / 1000);
+}
+
+function recordLlmError(endpoint, aborted) {
+  llmErrors.inc({ endpoint, reason: aborted ? 'aborted' : 'error' });
+}
+
+// Fallback rate per endpoint = gen="fallback" / all
+function recordGeneration(endpoint, gen) {
+  generations.inc({ endpoint, gen });
+}
+
+/**
+ * @param {string} tool - emit_card, emit_cards, emit_batch
+ * @param {string} stage - first, repair, stream (streamed card), slot (one batch card)
+ * @param {string} reason - invalid (failed validation) or no_tool_call (missing/truncated)
+ */
+function recordParseFailure(tool, stage, reason) {
+  parseFailures.inc({ tool, stage, reason });
+}
+
+function recordSourceRun(source, { latency, yielded, error }) {
+  webscoutFetches.inc({ source });
+  if (error) webscoutErrors.inc({ source });
+  webscoutCandidates.inc({ source }, yielded || 0);
+  webscoutDuration.observe({ source }, latency / 1000);
+}
+
+// =========================================================
+// HELPER FUNCTIONS
+// =========================================================
+
+function pick(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, String(labels[name] ?? '')]));
+}
+
+function labelKey(labelNames, labels) {
+  return labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  counter,
+  histogram,
+  renderMetrics,
+  httpMetrics,
+  recordLlmCall,
+  recordLlmError,
+  recordGeneration,
+  recordParseFailure,
+  recordSourceRun
+};
@@ -0,0 +1,175 @@
+// =========================================================
+// RATE LIMIT - Token buckets per client
+// =========================================================
+// Each client (device, else API key, else IP) gets one token
+// bucket per budget: 'model' for Claude-backed endpoints, 'cheap'
+// for everything else. Over-budget requests get a 429 with
+// Retry-After, or - on card endpoints in degrade mode - are let
+// through flagged so they are served by the template composer
+// =========================================================
+
+const crypto = require('crypto');
+
+// =========================================================
+// BUDGETS
+// =========================================================
+
+/**
+ * @typedef {Object} Budget
+ * @property {number} burst - Bucket capacity (requests allowed back to back)
+ * @property {number} perMinute - Refill rate
+ */
+
+const BUDGETS = {
+  model: {
+    burst: parseInt(process.env.RATE_LIMIT_MODEL_BURST) || 20,
+    perMinute: parseFloat(process.env.RATE_LIMIT_MODEL_PER_MIN) || 10
+  },
+  cheap: {
+    burst: parseInt(process.env.RATE_LIMIT_CHEAP_BURST) || 120,
+    perMinute: parseFloat(process.env.RATE_LIMIT_CHEAP_PER_MIN) || 60
+  }
+};
+
+// Over-budget card requests get template cards instead of a 429 (RATE_LIMIT_DEGRADE=0 to refuse)
+const DEGRADE_ENABLED = process.env.RATE_LIMIT_DEGRADE !== '0' && process.env.RATE_LIMIT_DEGRADE !== 'false';
+
+// Idle buckets are swept once this many are held
+const MAX_BUCKETS = 10000;
+
+// =========================================================
+// CLIENT KEYS
+// =========================================================
+
+/**
+ * Who a request is billed to: the authenticated device or API key (auth.js),
+ * else - with AUTH_MODE=off - the claimed API key, device id or IP.
+ * Claimed values are hashed so raw credentials never sit in memory.
+ */
+function clientKey(req) {
+  if (req.client?.kind === 'device') return `dev:${req.client.keyId}:${req.client.deviceId}`;
+  if (req.client?.kind === 'key') return `key:${req.client.keyId}`;
+  
+  const apiKey = req.get('x-api-key');
+  if (apiKey) return `key:${hash(apiKey)}`;
+  
+  const deviceId = req.get('x-device-id');
+  if (deviceId) return `dev:${hash(deviceId)}`;
+  
+  return `ip:${req.ip || 'unknown'}`;
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 16);
+}
+
+// =========================================================
+// TOKEN BUCKETS
+// =========================================================
+
+const buckets = new Map(); // `${budget}|${client}` -> { tokens, at }
+
+/**
+ * Take tokens from a client's bucket
+ * @param {string} budgetName - BUDGETS key
+ * @param {string} client - clientKey(req)
+ * @param {number} [cost=1]
+ * @returns {{allowed: boolean, remaining: number, retryAfter: number}} retryAfter in seconds
+ */
+function take(budgetName, client, cost = 1) {
+  const budget = BUDGETS[budgetName];
+  const ratePerMs = budget.perMinute / 60000;
+  const now = Date.now();
+  const key = `${budgetName}|${client}`;
+  
+  const bucket = buckets.get(key) || { tokens: budget.burst, at: now };
+  bucket.tokens = Math.min(budget.burst, bucket.tokens + (now - bucket.at) * ratePerMs);
+  bucket.at = now;
+  
+  // A cost above the burst can never be paid in full; charge the whole bucket instead
+  const charge = Math.min(cost, budget.burst);
+  const allowed = bucket.tokens >= charge;
+  if (allowed) bucket.tokens -= charge;
+  
+  buckets.set(key, bucket);
+  if (buckets.size > MAX_BUCKETS) sweepBuckets(now);
+  
+  return {
+    allowed,
+    remaining: Math.floor(bucket.tokens),
+    retryAfter: allowed ? 0 : Math.ceil((charge - bucket.tokens) / ratePerMs / 1000)
+  };
+}
+
+// Drop buckets that have refilled completely; they behave like new ones
+function sweepBuckets(now) {
+  for (const [key, bucket] of buckets) {
+    const budget = BUDGETS[key.split('|')[0]];
+    if (bucket.tokens + (now - bucket.at) * (budget.perMinute / 60000) >= budget.burst) buckets.delete(key);
+  }
+}
+
+// =========================================================
+// MIDDLEWARE
+// =========================================================
+
+/**
+ * Express middleware charging a budget per request
+ * @param {string} budgetName - 'model' or 'cheap'
+ * @param {Object} [options]
+ * @param {boolean} [options.degrade] - Over budget: set req.rateLimited and continue instead of 429
+ * @param {function(Object): number} [options.cost] - Tokens a request costs (default 1; 0 skips the check)
+ */
+function rateLimit(budgetName, { degrade = false, cost = () => 1 } = {}) {
+  if (!BUDGETS[budgetName]) throw new Error(`Unknown rate limit budget: ${budgetName}`);
+  
+  return (req, res, next) => {
+    if (chargeBudget(budgetName, req, res, { degrade, cost: cost(req) }) !== 'refused') next();
+  };
+}
+
+/**
+ * Charge a budget from inside a handler, e.g. only once a cache has missed
+ * @param {string} budgetName
+ * @param {Object} req
+ * @param {Object} res
+ * @param {{degrade?: boolean, cost?: number}} [options]
+ * @returns {'allowed'|'degraded'|'refused'} degraded sets req.rateLimited; refused has sent the 429
+ */
+function chargeBudget(budgetName, req, res, { degrade = false, cost = 1 } = {}) {
+  if (cost <= 0) return 'allowed';
+  
+  const result = take(budgetName, clientKey(req), cost);
+  res.set({
+    'X-RateLimit-Limit': String(BUDGETS[budgetName].burst),
+    'X-RateLimit-Remaining': String(result.remaining)
+  });
+  
+  if (result.allowed) return 'allowed';
+  
+  if (degrade && DEGRADE_ENABLED) {
+    req.rateLimited = true;
+    res.set('X-RateLimit-Degraded', 'template');
+    return 'degraded';
+  }
+  
+  res.set('Retry-After', String(result.retryAfter));
+  res.status(429).json({
+    error: 'Rate limit exceeded',
+    message: `Too many requests; retry in ${result.retryAfter}s`,
+    retryAfter: result.retryAfter
+  });
+  return 'refused';
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  BUDGETS,
+  clientKey,
+  take,
+  rateLimit,
+  chargeBudget
+};
@@ -0,0 +1,63 @@
+// =========================================================
+// KEYS - API key admin CLI
+// =========================================================
+// npm run keys -- create <name>   Issue a key (printed once)
+// npm run keys -- revoke <id>     Revoke a key and its device tokens
+// npm run keys -- list            List keys (ids, names, status)
+//
+// Operates on the local store at AUTH_KEYS_PATH (default
+// data/api-keys.json); a running server picks changes up live
+// =========================================================
+
+const Auth = require('../auth');
+
+const USAGE = `Usage:
+  npm run keys -- create <name>
+  npm run keys -- revoke <id>
+  npm run keys -- list`;
+
+function main([command, ...args]) {
+  switch (command) {
+    case 'create': {
+      const name = args.join(' ').trim();
+      if (!name) return fail('create needs a name, e.g. "ios-app"');
+      
+      const { key, record } = Auth.createKey(name);
+      console.log(`🔑 Created key ${record.id} (${record.name})`);
+      console.log(key);
+      console.log('Store it now; only its hash is kept.');
+      return 0;
+    }
+    
+    case 'revoke': {
+      if (!args[0]) return fail('revoke needs a key id (see list)');
+      
+      const record = Auth.revokeKey(args[0]);
+      if (!record) return fail(`No key with id ${args[0]}`);
+      console.log(`🚫 Revoked key ${record.id} (${record.name}) at ${record.revoked}`);
+      return 0;
+    }
+    
+    case 'list': {
+      const keys = Auth.listKeys();
+      if (keys.length === 0) {
+        console.log(`No keys in ${Auth.AUTH_KEYS_PATH}`);
+        return 0;
+      }
+      for (const key of keys) {
+        console.log(`${key.id}  ${key.revoked ? `revoked ${key.revoked}` : 'active'}  created ${key.created}  ${key.name}`);
+      }
+      return 0;
+    }
+    
+    default:
+      return fail(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+}
+
+function fail(message) {
+  console.error(`❌ ${message}\n\n${USAGE}`);
+  return 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
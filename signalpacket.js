@@ -0,0 +1,266 @@
+// =========================================================
+// SIGNALPACKET - Input Schema & Validation
+// =========================================================
+// Versioned schema for the SignalPacket the app sends to the
+// card endpoints. validateSignalPacket() reports EVERY offending
+// field path so clients can fix a packet in one round-trip
+// =========================================================
+
+// =========================================================
+// SCHEMA CONSTANTS
+// =========================================================
+
+const SIGNAL_PACKET_SCHEMA_VERSION = 1;
+const SUPPORTED_PACKET_VERSIONS = [1];
+
+// Card classes the composer knows how to build
+const CARD_CLASSES = ['sig_sum', 'flow_next', 'calm_reset', 'anomaly', 'culture_lens'];
+
+// Session phases: hook -> lock-in -> reinforce -> release
+const PHASES = ['hook', 'lock', 'rein', 'rel'];
+
+// Desire vector order: ORI, CONN, COMP, MEAN, REG
+const DESIRE_LABELS = ['ORI', 'CONN', 'COMP', 'MEAN', 'REG'];
+const DESIRE_SUM_TOLERANCE = 0.05;
+
+// lim bounds: [min, max] per field
+const LIMIT_BOUNDS = {
+  ttl: [1, 120],  // title chars
+  sub: [1, 200],  // subline chars
+  qt: [1, 280],   // quote chars
+  st: [0, 6],     // stats count
+  bg: [0, 6]      // badges count
+};
+
+/**
+ * @typedef {Object} SignalPacket
+ * @property {number} v - Schema version (SUPPORTED_PACKET_VERSIONS)
+ * @property {string} t - Always 'sig'
+ * @property {number[]} d - Desire probabilities [ORI, CONN, COMP, MEAN, REG], each 0–1, summing to ~1
+ * @property {string} [m] - Mode (e.g. 'sync')
+ * @property {string} [loc] - BCP 47 locale for card copy and formatting (e.g. 'es-MX'); defaults from Accept-Language
+ * @property {string} [ph] - Session phase: hook|lock|rein|rel (required for competing cards)
+ * @property {{tod: string, sl: number}} ctx - Time of day + scroll level
+ * @property {Object<string, number>} [fat] - Per-class fatigue 0–1
+ * @property {string[]} [cls] - Allowed card classes (>= 2 for competing cards)
+ * @property {{ttl: number, sub: number, qt: number, st: number, bg: number}} lim - Output limits
+ * @property {{img: Object[], fin: Object[], tag: string[]}} c - Candidates
+ */
+
+// =========================================================
+// VALIDATION
+// =========================================================
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} path - Field path, e.g. "ctx.sl" or "c.img[2].u"
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * Validate a SignalPacket against the schema
+ * @param {*} packet - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.competing] - Also require ph and >= 2 distinct cls (competing-cards endpoints)
+ * @returns {FieldError[]} Empty when valid
+ */
+function validateSignalPacket(packet, { competing = false } = {}) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+  
+  if (!isObject(packet)) {
+    fail('', 'must be a JSON object');
+    return errors;
+  }
+  
+  // Envelope
+  if (!SUPPORTED_PACKET_VERSIONS.includes(packet.v)) {
+    fail('v', `must be one of: ${SUPPORTED_PACKET_VERSIONS.join(', ')}`);
+  }
+  if (packet.t !== 'sig') fail('t', 'must be "sig"');
+  
+  // Desire vector
+  if (!Array.isArray(packet.d) || packet.d.length !== DESIRE_LABELS.length) {
+    fail('d', `must be an array of ${DESIRE_LABELS.length} probabilities (${DESIRE_LABELS.join(', ')})`);
+  } else {
+    packet.d.forEach((p, i) => {
+      if (!isNumberInRange(p, 0, 1)) fail(`d[${i}]`, 'must be a number between 0 and 1');
+    });
+    if (packet.d.every(p => isNumberInRange(p, 0, 1))) {
+      const sum = packet.d.reduce((a, b) => a + b, 0);
+      if (Math.abs(sum - 1) > DESIRE_SUM_TOLERANCE) fail('d', `must sum to 1 (got ${sum.toFixed(2)})`);
+    }
+  }
+  
+  if (packet.m !== undefined && !isNonEmptyString(packet.m)) fail('m', 'must be a non-empty string');
+  if (packet.loc !== undefined && !isLocaleTag(packet.loc)) fail('loc', 'must be a BCP 47 locale tag (e.g. "en-US")');
+  
+  // Phase
+  if (packet.ph !== undefined || competing) {
+    if (!PHASES.includes(packet.ph)) fail('ph', `must be one of: ${PHASES.join(', ')}`);
+  }
+  
+  // Context
+  if (!isObject(packet.ctx)) {
+    fail('ctx', 'must be an object with tod and sl');
+  } else {
+    if (!isNonEmptyString(packet.ctx.tod)) fail('ctx.tod', 'must be a non-empty string');
+    if (!isNumberInRange(packet.ctx.sl, 0, Infinity)) fail('ctx.sl', 'must be a non-negative number');
+  }
+  
+  // Allowed classes
+  if (packet.cls !== undefined || competing) {
+    if (!Array.isArray(packet.cls)) {
+      fail('cls', 'must be an array of card classes');
+    } else {
+      packet.cls.forEach((cls, i) => {
+        if (!CARD_CLASSES.includes(cls)) fail(`cls[${i}]`, `must be one of: ${CARD_CLASSES.join(', ')}`);
+      });
+      if (competing && new Set(packet.cls).size < 2) fail('cls', 'must contain at least 2 distinct classes');
+    }
+  }
+  
+  // Fatigue map
+  if (packet.fat !== undefined) {
+    if (!isObject(packet.fat)) {
+      fail('fat', 'must be an object of class -> fatigue');
+    } else {
+      for (const [cls, value] of Object.entries(packet.fat)) {
+        if (!CARD_CLASSES.includes(cls)) fail(`fat.${cls}`, 'is not a known card class');
+        else if (!isNumberInRange(value, 0, 1)) fail(`fat.${cls}`, 'must be a number between 0 and 1');
+      }
+    }
+  }
+  
+  // Limits
+  if (!isObject(packet.lim)) {
+    fail('lim', `must be an object with ${Object.keys(LIMIT_BOUNDS).join(', ')}`);
+  } else {
+    for (const [field, [min, max]] of Object.entries(LIMIT_BOUNDS)) {
+      if (!Number.isInteger(packet.lim[field]) || packet.lim[field] < min || packet.lim[field] > max) {
+        fail(`lim.${field}`, `must be an integer between ${min} and ${max}`);
+      }
+    }
+  }
+  
+  // Candidates
+  if (!isObject(packet.c)) {
+    fail('c', 'must be an object with img, fin and tag arrays');
+  } else {
+    validateList(packet.c.img, 'c.img', validateImageCandidate, fail);
+    validateList(packet.c.fin, 'c.fin', validateFinCandidate, fail);
+    validateList(packet.c.tag, 'c.tag', (tag, path) => {
+      if (!isNonEmptyString(tag)) fail(path, 'must be a non-empty string');
+    }, fail);
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate an optional array item by item (shared with cardspec.js)
+ * @param {*} list - Absent (undefined, or null when nullable) is fine
+ * @param {string} path - Error path of the list
+ * @param {function(*, string, Function)} validateItem - (item, itemPath, fail)
+ * @param {function(string, string)} fail - (path, message)
+ * @param {{nullable?: boolean}} [options]
+ */
+function validateList(list, path, validateItem, fail, { nullable = false } = {}) {
+  if (list === undefined || (nullable && list === null)) return;
+  if (!Array.isArray(list)) {
+    fail(path, 'must be an array');
+    return;
+  }
+  list.forEach((item, i) => validateItem(item, `${path}[${i}]`, fail));
+}
+
+// Image candidates mirror WebScout's LicensedCandidate
+function validateImageCandidate(img, path, fail) {
+  if (!isObject(img)) return fail(path, 'must be an object');
+  if (!isNonEmptyString(img.id)) fail(`${path}.id`, 'must be a non-empty string');
+  if (!isHttpUrl(img.u)) fail(`${path}.u`, 'must be an http(s) URL');
+  if (img.k !== undefined && !isNonEmptyString(img.k)) fail(`${path}.k`, 'must be a string');
+  if (!isNonEmptyString(img.lic)) fail(`${path}.lic`, 'must be a license code');
+  for (const field of ['ttl', 'src', 'att', 'link']) {
+    if (img[field] !== undefined && img[field] !== null && typeof img[field] !== 'string') {
+      fail(`${path}.${field}`, 'must be a string');
+    }
+  }
+}
+
+// Finance candidates: symbol, price, percent change
+function validateFinCandidate(fin, path, fail) {
+  if (!isObject(fin)) return fail(path, 'must be an object');
+  if (!isNonEmptyString(fin.id)) fail(`${path}.id`, 'must be a non-empty string');
+  if (!isNonEmptyString(fin.sym)) fail(`${path}.sym`, 'must be a non-empty string');
+  if (!Number.isFinite(fin.px)) fail(`${path}.px`, 'must be a number');
+  if (!Number.isFinite(fin.ch)) fail(`${path}.ch`, 'must be a number');
+}
+
+/**
+ * Build the 400 body for a failed validation
+ * @param {FieldError[]} errors
+ */
+function signalPacketErrorResponse(errors) {
+  return {
+    error: 'Invalid SignalPacket',
+    message: `${errors.length} field(s) failed validation: ${errors.map(e => e.path || '(root)').join(', ')}`,
+    schema: SIGNAL_PACKET_SCHEMA_VERSION,
+    errors
+  };
+}
+
+// =========================================================
+// HELPER FUNCTIONS
+// =========================================================
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isNumberInRange(value, min, max) {
+  return Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isLocaleTag(value) {
+  if (!isNonEmptyString(value)) return false;
+  try {
+    return Intl.getCanonicalLocales(value).length === 1;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isHttpUrl(value) {
+  if (!isNonEmptyString(value)) return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch (e) {
+    return false;
+  }
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  SIGNAL_PACKET_SCHEMA_VERSION,
+  SUPPORTED_PACKET_VERSIONS,
+  CARD_CLASSES,
+  PHASES,
+  DESIRE_LABELS,
+  LIMIT_BOUNDS,
+  validateSignalPacket,
+  signalPacketErrorResponse,
+  // Validation helpers shared by cardspec.js and webscout.js
+  validateList,
+  isObject,
+  isNonEmptyString,
+  isHttpUrl
+};
@@ -0,0 +1,102 @@
+// Arbiter strategies, seeded exploration and the env defaults
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const Arbiter = require('../arbiter');
+const { createRandom } = require('../webscout');
+
+const packet = {
+  d: [0.1, 0.1, 0.1, 0.1, 0.6],
+  ph: 'rel',
+  m: 'calm',
+  ctx: { tod: 'night' },
+  fat: {}
+};
+
+const card = (k, extra = {}) => ({ v: 1, t: 'card', k, ttl: k.toUpperCase(), ...extra });
+const envelope = { v: 1, t: 'cards', c: [card('anomaly'), card('calm_reset', { img: { id: 'wc:1' } }), card('flow_next')] };
+
+// Load arbiter.js in a fresh process with the given env: { defaults: [strategy, epsilon], stderr }
+function loadDefaults(env) {
+  const script = "const a = require('./arbiter'); console.log(JSON.stringify([a.DEFAULT_STRATEGY, a.DEFAULT_EPSILON]));";
+  const child = spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, ARBITER_STRATEGY: '', ARBITER_EPSILON: '', ...env },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+  return { defaults: JSON.parse(child.stdout.trim().split('\n').pop()), stderr: child.stderr };
+}
+
+test('heuristic ranks best-first and picks the top card', () => {
+  const result = Arbiter.arbitrate(envelope, packet, { strategy: 'heuristic' });
+  
+  assert.strictEqual(result.c[0].k, 'calm_reset');
+  assert.strictEqual(result.arb.w, 0);
+  assert.deepStrictEqual(result.arb.scores, [...result.arb.scores].sort((a, b) => b - a));
+});
+
+test('unknown strategies are rejected', () => {
+  assert.throws(() => Arbiter.arbitrate(envelope, packet, { strategy: 'nope' }), /Unknown arbiter strategy/);
+  assert.deepStrictEqual(Arbiter.listStrategies().slice(0, 3), ['heuristic', 'epsilon_greedy', 'thompson']);
+});
+
+test('epsilon_greedy exploits at epsilon 0 and explores at epsilon 1', () => {
+  for (let i = 0; i < 20; i++) {
+    assert.strictEqual(Arbiter.arbitrate(envelope, packet, { strategy: 'epsilon_greedy', epsilon: 0, seed: `s${i}` }).arb.w, 0);
+  }
+  
+  const picks = new Set();
+  for (let i = 0; i < 50; i++) {
+    picks.add(Arbiter.arbitrate(envelope, packet, { strategy: 'epsilon_greedy', epsilon: 1, seed: `s${i}` }).arb.w);
+  }
+  assert.deepStrictEqual([...picks].sort(), [0, 1, 2]);
+});
+
+test('seeded exploration is reproducible', () => {
+  for (const strategy of ['epsilon_greedy', 'thompson']) {
+    const options = { strategy, epsilon: 0.5, seed: 'session-42' };
+    assert.deepStrictEqual(Arbiter.arbitrate(envelope, packet, options).arb, Arbiter.arbitrate(envelope, packet, options).arb);
+  }
+});
+
+test('thompson favours the top card but still explores', () => {
+  const wins = [0, 0, 0];
+  for (let i = 0; i < 300; i++) {
+    wins[Arbiter.arbitrate(envelope, packet, { strategy: 'thompson', seed: `t${i}` }).arb.w]++;
+  }
+  
+  assert.ok(wins[0] > wins[1] && wins[0] > wins[2], `wins ${wins}`);
+  assert.ok(wins[1] + wins[2] > 0, 'never explored');
+});
+
+test('sampleBeta stays in (0, 1) with the expected mean', () => {
+  const random = createRandom('beta');
+  let sum = 0;
+  for (let i = 0; i < 2000; i++) {
+    const x = Arbiter.sampleBeta(3, 7, random);
+    assert.ok(x > 0 && x < 1);
+    sum += x;
+  }
+  assert.ok(Math.abs(sum / 2000 - 0.3) < 0.02, `mean ${sum / 2000}`);
+  
+  const seeded = () => Arbiter.sampleBeta(2, 5, createRandom('same'));
+  assert.strictEqual(seeded(), seeded());
+});
+
+test('ARBITER_EPSILON=0 is honoured and out-of-range values are clamped', () => {
+  assert.deepStrictEqual(loadDefaults({ ARBITER_EPSILON: '0' }).defaults, ['heuristic', 0]);
+  assert.deepStrictEqual(loadDefaults({ ARBITER_EPSILON: '5' }).defaults, ['heuristic', 1]);
+  assert.deepStrictEqual(loadDefaults({ ARBITER_EPSILON: 'lots' }).defaults, ['heuristic', 0.1]);
+});
+
+test('an unknown ARBITER_STRATEGY falls back to heuristic', () => {
+  const typo = loadDefaults({ ARBITER_STRATEGY: 'thompsen' });
+  assert.deepStrictEqual(typo.defaults, ['heuristic', 0.1]);
+  assert.match(typo.stderr, /Unknown ARBITER_STRATEGY "thompsen"/);
+  
+  const valid = loadDefaults({ ARBITER_STRATEGY: 'thompson' });
+  assert.deepStrictEqual(valid.defaults, ['thompson', 0.1]);
+  assert.strictEqual(valid.stderr, '');
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const SECRET = 'test-device-secret';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appscroll-auth-'));
+process.env.AUTH_KEYS_PATH = path.join(dir, 'api-keys.json');
+process.env.DEVICE_TOKEN_SECRET = SECRET;
+delete process.env.AUTH_MODE;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Auth = require('../auth');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Token for arbitrary fields, signed the way auth.js signs
+const sign = payload => `${payload}.${crypto.createHmac('sha256', SECRET).update(payload).digest('base64url')}`;
+
+// Run the authenticate middleware against a fake request
+function authenticate(headers, reqPath = '/insight') {
+  const req = { path: reqPath, get: name => headers[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  Auth.authenticate(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode, client: req.client };
+}
+
+test('the key store keeps only hashes', () => {
+  const { key, record } = Auth.createKey('store-test');
+  const stored = fs.readFileSync(process.env.AUTH_KEYS_PATH, 'utf8');
+  
+  assert.match(key, new RegExp(`^as_${record.id}_`));
+  assert.ok(!stored.includes(key));
+  assert.ok(stored.includes(crypto.createHash('sha256').update(key).digest('hex')));
+});
+
+test('API keys authenticate until revoked', () => {
+  const { key, record } = Auth.createKey('ios-app');
+  
+  assert.deepStrictEqual(authenticate({ 'x-api-key': key }).client, { kind: 'key', keyId: record.id });
+  assert.strictEqual(authenticate({ 'x-api-key': `${key}x` }).status, 401);
+  assert.strictEqual(authenticate({}).status, 401);
+  
+  assert.strictEqual(Auth.revokeKey(record.id).id, record.id);
+  const revoked = authenticate({ 'x-api-key': key });
+  assert.strictEqual(revoked.passed, false);
+  assert.strictEqual(revoked.status, 401);
+  assert.strictEqual(Auth.revokeKey('nope'), null);
+});
+
+test('device tokens round-trip', () => {
+  const { record } = Auth.createKey('device-app');
+  const { token, exp } = Auth.signDeviceToken(record.id, 'device_1');
+  
+  assert.ok(exp > Date.now() / 1000);
+  assert.deepStrictEqual(Auth.verifyDeviceToken(token), { keyId: record.id, deviceId: 'device_1' });
+  assert.deepStrictEqual(authenticate({ 'x-device-token': token }).client, { kind: 'device', keyId: record.id, deviceId: 'device_1' });
+  assert.throws(() => Auth.signDeviceToken(record.id, 'bad.id'), /Invalid device id/);
+});
+
+test('expired device tokens are rejected', () => {
+  const { record } = Auth.createKey('expiry-app');
+  const past = Math.floor(Date.now() / 1000) - 1;
+  
+  assert.deepStrictEqual(Auth.verifyDeviceToken(sign(`v1.${record.id}.device_1.${past}`)), { error: 'device token expired' });
+});
+
+test('tampered device tokens are rejected', () => {
+  const { record } = Auth.createKey('tamper-app');
+  const other = Auth.createKey('other-app').record;
+  const { token } = Auth.signDeviceToken(record.id, 'device_1');
+  const [version, keyId, deviceId, exp, signature] = token.split('.');
+  
+  const tampered = [
+    [version, other.id, deviceId, exp, signature],
+    [version, keyId, 'device_2', exp, signature],
+    [version, keyId, deviceId, String(Number(exp) + 3600), signature],
+    [version, keyId, deviceId, exp, signature.slice(0, -2) + (signature.endsWith('AA') ? 'BB' : 'AA')]
+  ];
+  for (const parts of tampered) {
+    assert.deepStrictEqual(Auth.verifyDeviceToken(parts.join('.')), { error: 'invalid device token signature' }, parts.join('.'));
+  }
+  
+  assert.deepStrictEqual(Auth.verifyDeviceToken(`v2.${keyId}.${deviceId}.${exp}.${signature}`), { error: 'malformed device token' });
+  assert.deepStrictEqual(Auth.verifyDeviceToken('garbage'), { error: 'malformed device token' });
+  assert.strictEqual(authenticate({ 'x-device-token': tampered[1].join('.') }).status, 401);
+});
+
+test('revoking a key kills its device tokens', () => {
+  const { record } = Auth.createKey('revoke-app');
+  const { token } = Auth.signDeviceToken(record.id, 'device_1');
+  
+  Auth.revokeKey(record.id);
+  assert.deepStrictEqual(Auth.verifyDeviceToken(token), { error: 'device token key revoked' });
+  assert.strictEqual(authenticate({ 'x-device-token': token }).status, 401);
+});
+
+test('admin routes are left to requireAdmin', () => {
+  assert.strictEqual(authenticate({}, '/admin/usage').passed, true);
+});
@@ -0,0 +1,88 @@
+// Card cache keys, the in-memory store and CARD_CACHE_TTL_SEC=0
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const CardCache = require('../cardcache');
+
+const packet = (overrides = {}) => ({
+  v: 1,
+  d: [0.31, 0.2, 0.19, 0.1, 0.2],
+  m: 'Calm',
+  ph: 'rel',
+  ctx: { tod: 'Evening', sl: 0.42 },
+  fat: { anomaly: 0.3 },
+  cls: ['calm_reset', 'culture_lens'],
+  loc: 'en',
+  c: { img: [{ id: 'wc:2' }, { id: 'wc:1' }], fin: [], tag: ['slow'] },
+  ...overrides
+});
+
+test('packets in the same buckets share a key', () => {
+  const nearby = packet({
+    d: [0.29, 0.21, 0.2, 0.11, 0.19],
+    m: 'calm',
+    ctx: { tod: ' evening', sl: 0.38 },
+    fat: { anomaly: 0.28, flow_next: 0.01 },
+    cls: ['culture_lens', 'calm_reset'],
+    c: { img: [{ id: 'wc:1' }, { id: 'wc:2' }], fin: [], tag: ['slow', 'slow'] }
+  });
+  
+  assert.strictEqual(CardCache.cardCacheKey('artifact-card', nearby), CardCache.cardCacheKey('artifact-card', packet()));
+});
+
+test('a different cls, loc, candidate set or endpoint gets its own key', () => {
+  const key = CardCache.cardCacheKey('artifact-card', packet());
+  
+  assert.notStrictEqual(CardCache.cardCacheKey('artifact-card', packet({ cls: ['calm_reset'] })), key);
+  assert.notStrictEqual(CardCache.cardCacheKey('artifact-card', packet({ loc: 'de' })), key);
+  assert.notStrictEqual(CardCache.cardCacheKey('artifact-card', packet({ c: { img: [{ id: 'wc:3' }] } })), key);
+  assert.notStrictEqual(CardCache.cardCacheKey('artifact-card', packet({ d: [0.5, 0.2, 0.1, 0.1, 0.1] })), key);
+  assert.notStrictEqual(CardCache.cardCacheKey('competing-cards', packet()), key);
+});
+
+test('only model output is stored, and hits are copies', async () => {
+  CardCache.setCardCacheStore(CardCache.createMemoryStore(10));
+  
+  await CardCache.storeCachedCards('template', { ttl: 'T' }, 'template');
+  assert.strictEqual(await CardCache.getCachedCards('template'), null);
+  
+  await CardCache.storeCachedCards('model', { ttl: 'M' }, 'model');
+  const hit = await CardCache.getCachedCards('model');
+  assert.deepStrictEqual(hit.value, { ttl: 'M' });
+  assert.strictEqual(hit.gen, 'model');
+  
+  hit.value.ttl = 'changed';
+  assert.strictEqual((await CardCache.getCachedCards('model')).value.ttl, 'M');
+});
+
+test('the memory store evicts the oldest entry and expires entries', async () => {
+  const store = CardCache.createMemoryStore(2);
+  await store.set('a', 1, 60000);
+  await store.set('b', 2, 60000);
+  await store.set('c', 3, 60000);
+  await store.set('gone', 4, -1);
+  
+  assert.strictEqual(await store.get('a'), undefined);
+  assert.strictEqual(await store.get('c'), 3);
+  assert.strictEqual(await store.get('gone'), undefined);
+});
+
+test('CARD_CACHE_TTL_SEC=0 disables the cache', () => {
+  const script = `
+    const CardCache = require('./cardcache');
+    (async () => {
+      await CardCache.storeCachedCards('k', { ttl: 'M' }, 'model');
+      const hit = await CardCache.getCachedCards('k');
+      console.log(JSON.stringify({ enabled: CardCache.CARD_CACHE_ENABLED, hit, stored: CardCache.getCardCacheStats().stored }));
+    })();
+  `;
+  const child = spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, CARD_CACHE_TTL_SEC: '0' },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+  
+  assert.deepStrictEqual(JSON.parse(child.stdout), { enabled: false, hit: null, stored: 0 });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CardSpec = require('../cardspec');
+const packet = require('../fixtures/packet.json');
+
+const cardSchema = tool => tool.input_schema.properties.c.items;
+
+// Every enum in a tool schema
+function enumsOf(tool) {
+  const enums = [];
+  JSON.stringify(tool, (key, value) => {
+    if (key === 'enum') enums.push(value);
+    return value;
+  });
+  return enums;
+}
+
+function assertUniqueEnums(tool) {
+  for (const values of enumsOf(tool)) {
+    assert.strictEqual(new Set(values).size, values.length, JSON.stringify(values));
+  }
+}
+
+test('emitBatchTool lists each candidate id once when slots share a packet', () => {
+  const tool = CardSpec.emitBatchTool([packet, packet, packet]);
+  const card = cardSchema(tool);
+  
+  assert.deepStrictEqual(card.properties.img.properties.id.enum, packet.c.img.map(img => img.id));
+  assert.strictEqual(tool.input_schema.properties.c.minItems, 3);
+  
+  assertUniqueEnums(tool);
+});
+
+test('emit_card and emit_cards enums are duplicate-free when a packet repeats ids', () => {
+  const repeated = {
+    ...packet,
+    c: {
+      ...packet.c,
+      img: [...packet.c.img, packet.c.img[0]],
+      fin: [...packet.c.fin, packet.c.fin[1]],
+      lnk: [{ id: 'fin:btc', title: 'Bitcoin explainer', url: 'https://example.com/btc' }]
+    }
+  };
+  
+  for (const tool of [CardSpec.emitCardTool(repeated), CardSpec.emitCardsTool(repeated)]) {
+    assertUniqueEnums(tool);
+  }
+  const card = CardSpec.emitCardTool(repeated).input_schema;
+  assert.deepStrictEqual(card.properties.img.properties.id.enum, ['met:1', 'wc:2']);
+});
+
+test('emitBatchTool keeps the union of different slot packets', () => {
+  const other = { ...packet, c: { ...packet.c, img: [{ ...packet.c.img[0], id: 'met:99' }] } };
+  const tool = CardSpec.emitBatchTool([packet, other]);
+  
+  assert.match(JSON.stringify(cardSchema(tool)), /"met:99"/);
+  assert.match(JSON.stringify(cardSchema(tool)), /"wc:2"/);
+});
+
+test('validateCardSpec reports list item errors with full paths', () => {
+  const spec = {
+    k: 'sig_sum',
+    ttl: 'Signals',
+    qt: 'Steady',
+    st: [{ l: 'BTC', v: '$64K', d: 'up' }, { l: 'XYZ', v: '', d: 'sideways' }],
+    bg: null,
+    src: [{ r: 'fin', id: 'fin:nope' }]
+  };
+  
+  assert.deepStrictEqual(CardSpec.validateCardSpec(spec, packet, { path: 'c[0]' }).map(error => error.path), [
+    'c[0].st[1].l',
+    'c[0].st[1].v',
+    'c[0].st[1].d',
+    'c[0].src[0].id'
+  ]);
+  assert.deepStrictEqual(CardSpec.validateCardSpec({ ...spec, st: 'BTC', src: [] }, packet).map(error => error.path), ['st']);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { License, dedupeCandidates } = require('../webscout');
+
+const image = (id, u, lic = License.CC0) => ({ id, u, k: 'art', ttl: `Work ${id}`, src: 'Test', lic, att: '', link: `https://example.org/${id}` });
+const dedupedIds = candidates => dedupeCandidates(candidates).map(c => c.id);
+
+test('Smithsonian deliveryService images with different ids are kept apart', () => {
+  assert.deepStrictEqual(dedupedIds([
+    image('a', 'https://ids.si.edu/ids/deliveryService?id=NMAH-2005-1234'),
+    image('b', 'https://ids.si.edu/ids/deliveryService?id=NPG-NPG_77_22')
+  ]), ['a', 'b']);
+});
+
+test('Smithsonian deliveryService sizes of one image collapse', () => {
+  assert.deepStrictEqual(dedupedIds([
+    image('a', 'https://ids.si.edu/ids/deliveryService?id=NMAH-2005-1234&max=800'),
+    image('b', 'https://ids.si.edu/ids/deliveryService?max=300&id=NMAH-2005-1234')
+  ]), ['a']);
+});
+
+test('Met original and web-large copies collapse, different objects do not', () => {
+  assert.deepStrictEqual(dedupedIds([
+    image('a', 'https://images.metmuseum.org/CRDImages/ep/original/DT1567.jpg'),
+    image('b', 'https://images.metmuseum.org/CRDImages/ep/web-large/DT1567.jpg'),
+    image('c', 'https://images.metmuseum.org/CRDImages/ep/original/DT1502.jpg')
+  ]), ['a', 'c']);
+});
+
+test('Wikimedia thumbnails collapse with the original, preferring the better license', () => {
+  assert.deepStrictEqual(dedupedIds([
+    image('thumb', 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/ab/Starry_Night_Over_the_Rhone.jpg/800px-Starry_Night_Over_the_Rhone.jpg', License.CCBY),
+    image('orig', 'https://upload.wikimedia.org/wikipedia/commons/a/ab/Starry_Night_Over_the_Rhone.jpg', License.PD),
+    image('other', 'https://upload.wikimedia.org/wikipedia/commons/c/cd/Irises_1889.jpg')
+  ]), ['orig', 'other']);
+});
+
+test('IIIF images match on their identifier across sizes and hosts', () => {
+  assert.deepStrictEqual(dedupedIds([
+    image('a', 'https://www.artic.edu/iiif/2/2d484387-2509-5e8e-2c43-22f9981972eb/full/843,/0/default.jpg'),
+    image('b', 'https://iiif.example.org/iiif/2/2d484387-2509-5e8e-2c43-22f9981972eb/full/400,/0/default.jpg'),
+    image('c', 'https://www.artic.edu/iiif/2/831a05de-d3f6-f4fa-a460-23008dd58dda/full/843,/0/default.jpg')
+  ]), ['a', 'c']);
+});
+
+test('generic file names never match on their own', () => {
+  assert.deepStrictEqual(dedupedIds([
+    image('a', 'https://one.example.org/items/1/default.jpg'),
+    image('b', 'https://two.example.org/items/2/default.jpg')
+  ]), ['a', 'b']);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Feedback = require('../feedback');
+
+const event = { k: 'sig_sum', id: 'x', ph: 'hook', db: 'ORI', o: 'tap' };
+
+test('validateFeedback accepts each outcome', () => {
+  for (const o of Object.keys(Feedback.OUTCOME_REWARDS)) {
+    assert.deepStrictEqual(Feedback.validateFeedback({ ...event, o }), []);
+  }
+});
+
+test('validateFeedback rejects prototype keys as outcomes', () => {
+  for (const o of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    const errors = Feedback.validateFeedback({ ...event, o });
+    assert.deepStrictEqual(errors.map(error => error.path), ['o'], o);
+  }
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const WebScout = require('../webscout');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'feeds', name), 'utf8');
+
+// Entries as the rss_* fetch hands them to normalize
+const feedEntries = (xml, feedUrl) => {
+  const feed = WebScout.parseFeed(xml);
+  return feed.entries.map(entry => ({ ...entry, feedTitle: feed.title, feedUrl }));
+};
+
+test('parseFeed reads RSS 2.0 items', () => {
+  const feed = WebScout.parseFeed(fixture('rss2.xml'));
+  
+  assert.strictEqual(feed.title, 'Example Engineering Blog');
+  assert.strictEqual(feed.entries.length, 3);
+  assert.deepStrictEqual(feed.entries[0], {
+    id: 'post-101',
+    title: 'Shipping a tiny & fast parser',
+    link: 'https://blog.example.com/posts/tiny-parser?utm_source=rss',
+    summary: 'How we replaced an XML dependency with 60 lines.',
+    pub: '2024-01-02T15:04:05.000Z',
+    comments: 'https://blog.example.com/posts/tiny-parser#comments'
+  });
+  
+  // CDATA title with markup, dc:date, numeric entities
+  assert.strictEqual(feed.entries[1].title, 'Caching without tears');
+  assert.strictEqual(feed.entries[1].pub, '2024-01-01T09:30:00.000Z');
+  assert.strictEqual(feed.entries[1].summary, 'Stale-while-revalidate in practice — with numbers.');
+});
+
+test('parseFeed reads Atom entries', () => {
+  const feed = WebScout.parseFeed(fixture('atom.xml'));
+  
+  assert.strictEqual(feed.title, 'Example Space Notes');
+  assert.strictEqual(feed.entries.length, 2);
+  
+  // rel="alternate" link wins over rel="self"; escaped HTML summary is stripped
+  assert.strictEqual(feed.entries[0].link, 'https://space.example.org/2024/02/europa-ice?a=1&b=2');
+  assert.strictEqual(feed.entries[0].summary, 'Radar data suggests the shell is thinner than thought.');
+  assert.strictEqual(feed.entries[0].pub, '2024-02-03T10:00:00.000Z');
+  
+  // No rel, <content> instead of <summary>, <updated> instead of <published>
+  assert.strictEqual(feed.entries[1].link, 'https://space.example.org/2024/01/comets');
+  assert.strictEqual(feed.entries[1].summary, 'Three comets to watch this spring.');
+  assert.strictEqual(feed.entries[1].pub, '2024-01-20T08:00:00.000Z');
+});
+
+test('rss source normalizes feed entries into link candidates', () => {
+  const source = WebScout.getSource('rss_tech');
+  const entries = [
+    ...feedEntries(fixture('rss2.xml'), 'https://blog.example.com/feed.xml'),
+    ...feedEntries(fixture('atom.xml'), 'https://space.example.org/feed.atom')
+  ];
+  const candidates = entries.map(entry => source.normalize(entry));
+  
+  // The item without a link is skipped
+  assert.strictEqual(candidates[2], null);
+  
+  const valid = candidates.filter(Boolean);
+  assert.strictEqual(valid.length, 4);
+  for (const candidate of valid) {
+    assert.deepStrictEqual(WebScout.validateCandidate(candidate), { pool: 'lnk', errors: [] }, candidate.id);
+    assert.strictEqual(candidate.lic, WebScout.License.UNKNOWN);
+  }
+  
+  assert.strictEqual(valid[0].src, 'Example Engineering Blog');
+  assert.strictEqual(valid[0].dom, 'blog.example.com');
+  assert.strictEqual(valid[0].disc, 'https://blog.example.com/posts/tiny-parser#comments');
+  assert.strictEqual(valid[1].disc, null);
+  assert.match(valid[0].id, /^rss:/);
+  assert.notStrictEqual(valid[0].id, valid[1].id);
+});
+
+test('arxiv source normalizes API entries', () => {
+  const source = WebScout.getSource('arxiv');
+  const candidates = WebScout.parseFeed(fixture('arxiv.xml')).entries.map(entry => source.normalize(entry));
+  
+  assert.strictEqual(candidates.length, 2);
+  for (const candidate of candidates) {
+    assert.deepStrictEqual(WebScout.validateCandidate(candidate), { pool: 'lnk', errors: [] }, candidate.id);
+  }
+  
+  // Version suffix dropped; multi-line title and summary collapsed
+  assert.strictEqual(candidates[0].id, 'arxiv:2403.01234');
+  assert.strictEqual(candidates[0].link, 'https://arxiv.org/abs/2403.01234');
+  assert.strictEqual(candidates[0].ttl, 'Sparse Mixtures of Tiny Experts for Long-Context Reasoning');
+  assert.strictEqual(candidates[0].desc, 'We study routing in mixtures of experts when contexts exceed a million tokens.');
+  assert.strictEqual(candidates[0].pub, '2024-03-01T17:59:59.000Z');
+  
+  // Old-style ids keep their archive prefix
+  assert.strictEqual(candidates[1].id, 'arxiv:cs/0112017');
+});
+
+test('lobsters source normalizes hottest.json stories', () => {
+  const source = WebScout.getSource('lobsters');
+  const candidates = JSON.parse(fixture('lobsters.json')).map(story => source.normalize(story));
+  
+  assert.strictEqual(candidates.length, 3);
+  assert.strictEqual(candidates[2], null); // no short_id
+  for (const candidate of candidates.slice(0, 2)) {
+    assert.deepStrictEqual(WebScout.validateCandidate(candidate), { pool: 'lnk', errors: [] }, candidate.id);
+  }
+  
+  assert.deepStrictEqual(
+    { id: candidates[0].id, link: candidates[0].link, dom: candidates[0].dom, score: candidates[0].score, cmt: candidates[0].cmt, pub: candidates[0].pub },
+    { id: 'lobsters:abc123', link: 'https://www.example.dev/regex', dom: 'example.dev', score: 42, cmt: 7, pub: '2024-04-01T17:34:56.000Z' }
+  );
+  
+  // Text posts link to their discussion
+  assert.strictEqual(candidates[1].link, 'https://lobste.rs/s/def456/ask_favourite_debugging_stories');
+  assert.strictEqual(candidates[1].disc, candidates[1].link);
+});
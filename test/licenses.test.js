@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { License, rightsToString } = require('../webscout');
+const Composer = require('../composer');
+const basePacket = require('../fixtures/packet.json');
+
+const candidate = (lic, att = '') => ({
+  id: `img:${lic}`,
+  u: `https://images.example.org/${lic}.jpg`,
+  k: 'art',
+  ttl: `A ${lic} work`,
+  src: 'Example Museum',
+  lic,
+  att,
+  link: `https://example.org/${lic}`
+});
+
+// A model card referencing one packet image, with its own (untrusted) image fields
+function modelCard(img, overrides = {}) {
+  return {
+    k: 'culture_lens',
+    ttl: 'Evening light',
+    sub: 'A quiet field',
+    qt: 'Look closer',
+    img: { id: img.id, cap: 'Golden hour', u: 'https://evil.example.com/x.jpg', lic: 'CC0', att: 'made up', src: 'Nowhere', link: 'https://evil.example.com' },
+    src: [{ r: 'img', id: img.id }, { r: 'fin', id: 'fin:btc' }],
+    ...overrides
+  };
+}
+
+const packetWith = img => ({ ...basePacket, c: { ...basePacket.c, img: [img] } });
+
+test('render-allowed licenses produce an image ref', () => {
+  for (const lic of [License.PD, License.CC0, License.CCBY, License.CCBYSA, License.NASA_PD]) {
+    const img = candidate(lic, 'Credit line');
+    assert.deepStrictEqual(Composer.licensedImageRef(img), {
+      id: img.id,
+      u: img.u,
+      cap: img.ttl,
+      src: img.src,
+      lic,
+      att: 'Credit line',
+      link: img.link
+    }, lic);
+  }
+});
+
+test('attribution is synthesized for CCBY, CCBYSA and NASA_PD when att is empty', () => {
+  for (const lic of [License.CCBY, License.CCBYSA, License.NASA_PD]) {
+    const ref = Composer.licensedImageRef(candidate(lic));
+    assert.strictEqual(ref.att, `Example Museum — ${rightsToString(lic)}`, lic);
+  }
+});
+
+test('PD and CC0 need no attribution', () => {
+  for (const lic of [License.PD, License.CC0]) {
+    assert.strictEqual(Composer.licensedImageRef(candidate(lic)).att, null, lic);
+  }
+});
+
+test('UNKNOWN and NOT_ALLOWED images are never rendered', () => {
+  for (const lic of [License.UNKNOWN, License.NOT_ALLOWED]) {
+    assert.strictEqual(Composer.licensedImageRef(candidate(lic, 'Credit line')), null, lic);
+  }
+  assert.strictEqual(Composer.licensedImageRef(undefined), null);
+});
+
+test('sanitizeCardSpec renders allowed licenses from the packet candidate', () => {
+  for (const lic of [License.PD, License.CC0, License.CCBY, License.CCBYSA, License.NASA_PD]) {
+    const img = candidate(lic);
+    const card = Composer.sanitizeCardSpec(modelCard(img), packetWith(img));
+    
+    assert.strictEqual(card.img.id, img.id, lic);
+    assert.strictEqual(card.img.cap, 'Golden hour', lic);
+    assert.deepStrictEqual(card.src, [{ r: 'img', id: img.id }, { r: 'fin', id: 'fin:btc' }], lic);
+    if ([License.CCBY, License.CCBYSA, License.NASA_PD].includes(lic)) {
+      assert.strictEqual(card.img.att, `Example Museum — ${rightsToString(lic)}`, lic);
+    }
+  }
+});
+
+test('sanitizeCardSpec drops UNKNOWN and NOT_ALLOWED images and their src refs', () => {
+  for (const lic of [License.UNKNOWN, License.NOT_ALLOWED]) {
+    const img = candidate(lic);
+    const card = Composer.sanitizeCardSpec(modelCard(img), packetWith(img));
+    
+    assert.strictEqual(card.img, null, lic);
+    assert.deepStrictEqual(card.src, [{ r: 'fin', id: 'fin:btc' }], lic);
+  }
+});
+
+test('sanitizeCardSpec ignores model-supplied u, lic and att', () => {
+  const img = candidate(License.CCBY, 'Jane Doe — CC BY 4.0');
+  const card = Composer.sanitizeCardSpec(modelCard(img), packetWith(img));
+  
+  assert.deepStrictEqual(card.img, {
+    id: img.id,
+    u: img.u,
+    cap: 'Golden hour',
+    src: 'Example Museum',
+    lic: License.CCBY,
+    att: 'Jane Doe — CC BY 4.0',
+    link: img.link
+  });
+});
+
+test('sanitizeCardSpec drops an image id that is not in the packet', () => {
+  const img = candidate(License.CC0);
+  const hallucinated = { ...img, id: 'img:made-up' };
+  const card = Composer.sanitizeCardSpec(modelCard(hallucinated), packetWith(img));
+  
+  assert.strictEqual(card.img, null);
+  assert.deepStrictEqual(card.src, [{ r: 'fin', id: 'fin:btc' }]);
+});
@@ -0,0 +1,103 @@
+process.env.AUTH_MODE = 'off';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WebScout = require('../webscout');
+const { app } = require('../index');
+
+// In-memory link source that refetches on every harvest (no cache window)
+let items = [];
+WebScout.registerSource({
+  id: 'pages',
+  name: 'Pages',
+  surfaces: ['pages'],
+  limit: 100,
+  cache: { ttl: 0, stale: 0 },
+  async *fetch() {
+    yield* items;
+  },
+  normalize: n => ({
+    id: `pages:${n}`,
+    k: 'link',
+    ttl: `Story ${n}`,
+    desc: '',
+    src: 'Pages',
+    lic: WebScout.License.UNKNOWN,
+    att: '',
+    link: `https://example.com/${n}`,
+    dom: 'example.com',
+    score: null,
+    cmt: null,
+    pub: null,
+    disc: null,
+    safe: true
+  })
+});
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+async function walk(seed, refresh) {
+  const served = [];
+  let seen = [];
+  for (let page = 0; page < 20; page++) {
+    const result = await WebScout.harvestCandidates(['pages'], 5, { seed, seen });
+    served.push(...result.lnk.map(c => c.id));
+    if (!result.next) return served;
+    seen = result.next.seen;
+    refresh(page);
+  }
+  throw new Error('pagination never ended');
+}
+
+test('pages never repeat when the pool reorders between pages', async () => {
+  items = range(0, 23);
+  const served = await walk('s1', () => {
+    items = [...items].reverse();
+  });
+  
+  assert.strictEqual(new Set(served).size, served.length, 'no candidate served twice');
+  assert.deepStrictEqual([...served].sort(), range(0, 23).map(n => `pages:${n}`).sort(), 'every candidate served');
+});
+
+test('candidates added by a refresh show up on later pages', async () => {
+  items = range(0, 10);
+  const served = await walk('s2', page => {
+    if (page === 0) items = [...range(100, 104), ...items];
+  });
+  
+  assert.strictEqual(new Set(served).size, served.length);
+  assert.strictEqual(served.length, 14);
+  assert.ok(served.includes('pages:100'));
+});
+
+test('exclude ids are skipped and the last page returns no cursor', async () => {
+  items = range(0, 6);
+  const result = await WebScout.harvestCandidates(['pages'], 5, { seed: 's3', exclude: ['pages:0', 'pages:1'] });
+  
+  assert.strictEqual(result.lnk.length, 4);
+  assert.ok(!result.lnk.some(c => c.id === 'pages:0' || c.id === 'pages:1'));
+  assert.strictEqual(result.next, null);
+});
+
+test('/api/candidates cursors stay under 1 KB however far a session pages', async () => {
+  items = range(0, 300);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api/candidates`;
+  
+  try {
+    let query = '?surfaces=pages&limit=20&seed=s4';
+    for (let page = 0; page < 8; page++) {
+      const body = await (await fetch(url + query)).json();
+      assert.strictEqual(body.lnk.length, 20);
+      assert.ok(body.next.length < 1024, `page ${page}: ${body.next.length} byte cursor`);
+      query = `?cursor=${body.next}`;
+    }
+    
+    // Cursors claiming more than MAX_SEEN_IDS served ids are rejected
+    const inflated = Buffer.from(JSON.stringify({ f: ['pages'], n: 20, s: 's4', h: 'AAAAAA'.repeat(WebScout.MAX_SEEN_IDS + 1) })).toString('base64url');
+    assert.strictEqual((await fetch(`${url}?cursor=${inflated}`)).status, 400);
+  } finally {
+    server.close();
+  }
+});
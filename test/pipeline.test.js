@@ -0,0 +1,110 @@
+// Card endpoints end to end, replaying the fixtures/llm mock provider
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appscroll-pipeline-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.AUTH_MODE = 'off';
+process.env.USAGE_STORE_PATH = path.join(dir, 'usage.jsonl');
+process.env.FEEDBACK_STORE_PATH = path.join(dir, 'feedback.jsonl');
+delete process.env.LLM_DAILY_BUDGET_USD;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { app } = require('../index');
+const packet = require('../fixtures/packet.json');
+const emitCard = require('../fixtures/llm/emit_card.json');
+const emitCards = require('../fixtures/llm/emit_cards.json');
+const emitBatch = require('../fixtures/llm/emit_batch.json');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function post(route, body) {
+  const response = await fetch(baseUrl + route, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Parse an SSE body into [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    return { event, data: data && JSON.parse(data) };
+  });
+}
+
+test('artifact-card replays emit_card, then serves it from the cache', async () => {
+  const first = await post('/api/artifact-card', packet);
+  
+  assert.strictEqual(first.status, 200);
+  assert.deepStrictEqual(first.body.meta, { gen: 'model', cache: 'miss' });
+  assert.strictEqual(first.body.ttl, emitCard.input.ttl);
+  assert.strictEqual(first.body.img.id, emitCard.input.img.id);
+  
+  const second = await post('/api/artifact-card', packet);
+  assert.strictEqual(second.body.meta.cache, 'hit');
+  assert.strictEqual(second.body.ttl, first.body.ttl);
+});
+
+test('competing-cards replays emit_cards and ranks them', async () => {
+  const { status, body } = await post('/api/competing-cards', packet);
+  
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.meta.gen, 'model');
+  assert.deepStrictEqual(body.c.map(card => card.ttl).sort(), emitCards.input.c.map(card => card.ttl).sort());
+  assert.strictEqual(body.arb.strategy, 'heuristic');
+  assert.strictEqual(body.arb.scores.length, emitCards.input.c.length);
+});
+
+test('competing-cards/stream sends each card, then the ranked envelope', async () => {
+  const response = await fetch(`${baseUrl}/api/competing-cards/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(packet)
+  });
+  assert.strictEqual(response.headers.get('content-type').split(';')[0], 'text/event-stream');
+  
+  const events = parseEvents(await response.text());
+  const cards = events.filter(e => e.event === 'card');
+  const envelope = events.find(e => e.event === 'envelope');
+  
+  assert.strictEqual(cards.length, emitCards.input.c.length);
+  assert.ok(cards.every(card => card.data.meta.gen === 'model'));
+  assert.strictEqual(envelope.data.meta.gen, 'model');
+  assert.strictEqual(envelope.data.c.length, emitCards.input.c.length);
+});
+
+test('card-batch replays emit_batch for one chunk of slots', async () => {
+  const n = emitBatch.input.c.length;
+  const { status, body } = await post('/api/card-batch', { packet, n });
+  
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.meta.gen, 'model');
+  assert.deepStrictEqual(body.meta.slots, Array(n).fill('model'));
+  assert.deepStrictEqual(body.c.map(card => card.ttl), emitBatch.input.c.map(card => card.ttl));
+});
+
+test('invalid packets are rejected before any model call', async () => {
+  const { status, body } = await post('/api/artifact-card', { ...packet, ph: 'drift' });
+  
+  assert.strictEqual(status, 400);
+  assert.ok(body.errors.some(error => error.path === 'ph'));
+});
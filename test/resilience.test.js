@@ -0,0 +1,189 @@
+// Retries, deadlines, circuit breakers and the candidate cache,
+// against a local stub HTTP server
+process.env.WEBSCOUT_RETRIES = '2';
+process.env.WEBSCOUT_BREAKER_THRESHOLD = '2';
+process.env.WEBSCOUT_BREAKER_COOLDOWN_MS = '150';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { getEventListeners } = require('events');
+const WebScout = require('../webscout');
+
+// path -> list of responses served in order (then repeating the last);
+// a response is { status, body, delay } or 'hang' (never answers)
+const routes = {};
+const hits = {};
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    const responses = routes[req.url] || [{ status: 404, body: {} }];
+    const response = responses[Math.min(hits[req.url] - 1, responses.length - 1)];
+    if (response === 'hang') return;
+    
+    setTimeout(() => {
+      res.writeHead(response.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response.body));
+    }, response.delay || 0);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const link = id => ({ id, title: `Story ${id}`, url: `https://example.com/${id}` });
+
+// A link source reading pages from the stub until one is empty
+function stubSource(id, { pages, timeout = 1000 }) {
+  WebScout.registerSource({
+    id,
+    name: `Stub (${id})`,
+    surfaces: [id],
+    timeout,
+    async *fetch({ signal }) {
+      for (const page of pages) {
+        const items = await WebScout.fetchJSON(baseUrl + page, { signal });
+        if (items.length === 0) return;
+        yield* items;
+      }
+    },
+    normalize: item => ({
+      id: `${id}:${item.id}`,
+      k: 'link',
+      ttl: item.title,
+      desc: '',
+      src: 'Stub',
+      lic: WebScout.License.UNKNOWN,
+      att: '',
+      link: item.url,
+      dom: 'example.com',
+      score: null,
+      cmt: null,
+      pub: null,
+      disc: null,
+      safe: true
+    })
+  });
+  return WebScout.getSource(id);
+}
+
+const breakerState = id => WebScout.getBreakerStates()[id];
+
+test('retries 429 and 5xx responses, then succeeds', async () => {
+  routes['/retry'] = [{ status: 429, body: {} }, { status: 503, body: {} }, { status: 200, body: [link('a')] }];
+  const source = stubSource('retry', { pages: ['/retry'] });
+  
+  const candidates = await WebScout.runSource(source, 5);
+  
+  assert.strictEqual(hits['/retry'], 3);
+  assert.deepStrictEqual(candidates.map(c => c.id), ['retry:a']);
+  assert.strictEqual(breakerState('retry').state, 'closed');
+});
+
+test('gives up after WEBSCOUT_RETRIES retries', async () => {
+  routes['/down'] = [{ status: 500, body: {} }];
+  const source = stubSource('down', { pages: ['/down'] });
+  
+  assert.deepStrictEqual(await WebScout.runSource(source, 5), []);
+  assert.strictEqual(hits['/down'], 3);
+  assert.strictEqual(breakerState('down').lastError, 'HTTP 500');
+});
+
+test('removes its abort listeners once retries finish', async () => {
+  routes['/retry-signal'] = [{ status: 503, body: {} }, { status: 200, body: [link('a')] }];
+  const controller = new AbortController();
+  
+  const items = await WebScout.fetchJSON(baseUrl + '/retry-signal', { signal: controller.signal });
+  
+  assert.strictEqual(hits['/retry-signal'], 2);
+  assert.deepStrictEqual(items, [link('a')]);
+  assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('does not retry other 4xx responses', async () => {
+  routes['/gone'] = [{ status: 404, body: {} }];
+  const source = stubSource('gone', { pages: ['/gone'] });
+  
+  assert.deepStrictEqual(await WebScout.runSource(source, 5), []);
+  assert.strictEqual(hits['/gone'], 1);
+});
+
+test('deadline aborts a hanging run and keeps what was collected', async () => {
+  routes['/slow/1'] = [{ status: 200, body: [link('a'), link('b')] }];
+  routes['/slow/2'] = ['hang'];
+  const source = stubSource('slow', { pages: ['/slow/1', '/slow/2'], timeout: 200 });
+  
+  const startedAt = Date.now();
+  const candidates = await WebScout.runSource(source, 5);
+  
+  assert.ok(Date.now() - startedAt < 1000, 'run should stop at its deadline');
+  assert.deepStrictEqual(candidates.map(c => c.id), ['slow:a', 'slow:b']);
+  assert.strictEqual(breakerState('slow').lastError, 'deadline 200ms exceeded');
+});
+
+test('breaker opens after repeated failures, then half-opens and closes', async () => {
+  routes['/flaky'] = [{ status: 500, body: {} }];
+  const source = stubSource('flaky', { pages: ['/flaky'] });
+  
+  await WebScout.runSource(source, 5);
+  assert.strictEqual(breakerState('flaky').state, 'closed');
+  await WebScout.runSource(source, 5);
+  assert.strictEqual(breakerState('flaky').state, 'open');
+  
+  // Open: no upstream request at all
+  const hitsWhenOpened = hits['/flaky'];
+  assert.deepStrictEqual(await WebScout.runSource(source, 5), []);
+  assert.strictEqual(hits['/flaky'], hitsWhenOpened);
+  
+  // After the cooldown one trial run goes through (half_open) and its success closes the breaker
+  routes['/flaky'] = [{ status: 200, body: [link('a')], delay: 50 }];
+  delete hits['/flaky'];
+  await new Promise(resolve => setTimeout(resolve, 200));
+  
+  const trial = WebScout.runSource(source, 5);
+  assert.strictEqual(breakerState('flaky').state, 'half_open');
+  assert.deepStrictEqual(await WebScout.runSource(source, 5), [], 'only one trial run while half-open');
+  
+  assert.deepStrictEqual((await trial).map(c => c.id), ['flaky:a']);
+  assert.strictEqual(breakerState('flaky').state, 'closed');
+  assert.strictEqual(breakerState('flaky').failures, 0);
+});
+
+test('a failed half-open trial reopens the breaker', async () => {
+  routes['/relapse'] = [{ status: 500, body: {} }];
+  const source = stubSource('relapse', { pages: ['/relapse'] });
+  
+  await WebScout.runSource(source, 5);
+  await WebScout.runSource(source, 5);
+  assert.strictEqual(breakerState('relapse').state, 'open');
+  
+  await new Promise(resolve => setTimeout(resolve, 200));
+  await WebScout.runSource(source, 5);
+  assert.strictEqual(breakerState('relapse').state, 'open');
+});
+
+test('deadline-cut runs are not cached', async () => {
+  routes['/partial/1'] = [{ status: 200, body: [link('a')] }];
+  routes['/partial/2'] = ['hang', { status: 200, body: [] }];
+  stubSource('partial', { pages: ['/partial/1', '/partial/2'], timeout: 200 });
+  
+  const first = await WebScout.harvestCandidates(['partial'], 5);
+  assert.strictEqual(first.cache.partial.status, 'miss');
+  assert.deepStrictEqual(first.lnk.map(c => c.id), ['partial:a']);
+  
+  // Fetched again rather than served from cache; this run completes and is cached
+  const second = await WebScout.harvestCandidates(['partial'], 5);
+  assert.strictEqual(second.cache.partial.status, 'miss');
+  assert.strictEqual(hits['/partial/1'], 2);
+  
+  const third = await WebScout.harvestCandidates(['partial'], 5);
+  assert.strictEqual(third.cache.partial.status, 'hit');
+  assert.strictEqual(hits['/partial/1'], 2);
+});
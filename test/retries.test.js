@@ -0,0 +1,31 @@
+// WEBSCOUT_RETRIES=0 (a separate file: the override is read at load)
+process.env.WEBSCOUT_RETRIES = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebScout = require('../webscout');
+
+let server;
+let baseUrl;
+let hits = 0;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    res.end('{}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('WEBSCOUT_RETRIES=0 disables retries', async () => {
+  await assert.rejects(WebScout.fetchJSON(baseUrl + '/down'), /HTTP 503/);
+  assert.strictEqual(hits, 1);
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSignalPacket } = require('../signalpacket');
+const packet = require('../fixtures/packet.json');
+
+test('the fixture packet is valid', () => {
+  assert.deepStrictEqual(validateSignalPacket(packet), []);
+});
+
+test('packet candidate lists may not be null', () => {
+  const errors = validateSignalPacket({ ...packet, c: { ...packet.c, fin: null } });
+  
+  assert.deepStrictEqual(errors.map(error => error.path), ['c.fin']);
+});
@@ -0,0 +1,102 @@
+// Usage accounting for failed model calls and budget skips, through the app
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Only emit_card replays; insight and competing cards calls throw
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appscroll-usage-'));
+const fixtures = path.join(dir, 'llm');
+fs.mkdirSync(fixtures);
+fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'llm', 'emit_card.json'), path.join(fixtures, 'emit_card.json'));
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MOCK_FIXTURES = fixtures;
+process.env.AUTH_MODE = 'off';
+process.env.USAGE_STORE_PATH = path.join(dir, 'usage.jsonl');
+process.env.FEEDBACK_STORE_PATH = path.join(dir, 'feedback.jsonl');
+process.env.CARD_CACHE_TTL_SEC = '0';
+// Any successful call spends it
+process.env.LLM_DAILY_BUDGET_USD = '0.000001';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { app } = require('../index');
+const Usage = require('../usage');
+const packet = require('../fixtures/packet.json');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function post(route, body) {
+  const response = await fetch(baseUrl + route, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const endpointUsage = endpoint => Usage.getUsageSummary(1).days[0].endpoints[endpoint];
+
+test('model calls that throw are recorded as failed, at no cost', async () => {
+  const insight = await post('/api/insight', {});
+  assert.strictEqual(insight.status, 500);
+  
+  const competing = await post('/api/competing-cards', packet);
+  assert.strictEqual(competing.body.meta.gen, 'fallback');
+  
+  for (const endpoint of ['insight', 'competing_cards']) {
+    const { calls, failed, usd } = endpointUsage(endpoint);
+    assert.deepStrictEqual({ calls, failed, usd }, { calls: 1, failed: 1, usd: 0 }, endpoint);
+  }
+  assert.strictEqual(Usage.isOverBudget(), false);
+});
+
+test('requests past the daily budget are recorded as skipped, not as calls', async () => {
+  const card = await post('/api/artifact-card', packet);
+  assert.strictEqual(card.body.meta.gen, 'model');
+  assert.strictEqual(Usage.isOverBudget(), true);
+  
+  const competing = await post('/api/competing-cards', packet);
+  assert.strictEqual(competing.body.meta.gen, 'template');
+  assert.strictEqual(endpointUsage('competing_cards').skipped, 1);
+  assert.strictEqual(endpointUsage('competing_cards').calls, 1);
+  
+  const insight = await post('/api/insight', {});
+  assert.strictEqual(insight.status, 200);
+  assert.strictEqual(endpointUsage('insight').skipped, 1);
+  assert.strictEqual(endpointUsage('insight').calls, 1);
+  
+  const day = Usage.getUsageSummary(1).days[0];
+  assert.deepStrictEqual({ calls: day.calls, failed: day.failed, skipped: day.skipped }, { calls: 3, failed: 2, skipped: 2 });
+});
+
+test('the store keeps the reason on each record', async () => {
+  // Writes are fire and forget
+  let records = [];
+  for (let i = 0; i < 50 && records.length < 5; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    records = fs.readFileSync(process.env.USAGE_STORE_PATH, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  }
+  
+  assert.deepStrictEqual(records.map(record => [record.ep, record.r]), [
+    ['insight', 'error'],
+    ['competing_cards', 'error'],
+    ['artifact_card', undefined],
+    ['competing_cards', 'budget'],
+    ['insight', 'budget']
+  ]);
+  assert.ok(records.filter(record => record.r).every(record => record.usd === 0 && record.in === 0));
+});
@@ -0,0 +1,276 @@
+// =========================================================
+// USAGE - Token usage, cost and the daily model budget
+// =========================================================
+// Every model call is recorded (endpoint, model, input/output
+// tokens, latency, whether the request fell back, card classes
+// produced), including calls that failed and calls skipped because
+// the budget was spent. Records are appended to a local JSONL store and rolled
+// up per UTC day; once a day's estimated cost passes
+// LLM_DAILY_BUDGET_USD, endpoints stop calling the model until the
+// next UTC day
+// =========================================================
+
+const fs = require('fs');
+const path = require('path');
+
+// =========================================================
+// CONSTANTS
+// =========================================================
+
+const USAGE_STORE_PATH = process.env.USAGE_STORE_PATH || path.join(__dirname, 'data', 'usage.jsonl');
+
+// Estimated spend per UTC day; unset -> no budget
+const DAILY_BUDGET_USD = parseFloat(process.env.LLM_DAILY_BUDGET_USD) || null;
+
+// USD per million tokens, matched by model id prefix (first match wins)
+const MODEL_PRICES = [
+  { prefix: 'claude-opus-4', input: 15, output: 75 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-3-5-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { prefix: 'claude-3-haiku', input: 0.25, output: 1.25 }
+];
+
+// Unknown models (and LLM_PRICE_* overrides) price as this
+const DEFAULT_PRICE = {
+  input: parseFloat(process.env.LLM_PRICE_INPUT_PER_MTOK) || 3,
+  output: parseFloat(process.env.LLM_PRICE_OUTPUT_PER_MTOK) || 15
+};
+const PRICE_OVERRIDDEN = Boolean(process.env.LLM_PRICE_INPUT_PER_MTOK || process.env.LLM_PRICE_OUTPUT_PER_MTOK);
+
+// Days returned by getUsageSummary when none are asked for
+const DEFAULT_SUMMARY_DAYS = 7;
+
+/**
+ * @typedef {Object} UsageRecord
+ * @property {string} ts - ISO timestamp
+ * @property {string} ep - Endpoint (insight, artifact_card, competing_cards, card_batch)
+ * @property {string} model
+ * @property {number} in - Input tokens
+ * @property {number} out - Output tokens
+ * @property {number} ms - Call latency
+ * @property {boolean} fb - The request fell back (template/fallback cards, fallback insight)
+ * @property {string[]} k - Card classes the model produced
+ * @property {number} usd - Estimated cost
+ * @property {string} [r] - Why no usable call happened: budget (skipped, no call made),
+ *   error (the call threw) or aborted (cut off by a deadline or client disconnect)
+ */
+
+// =========================================================
+// PRICING
+// =========================================================
+
+function priceFor(model) {
+  if (PRICE_OVERRIDDEN) return DEFAULT_PRICE;
+  return MODEL_PRICES.find(price => String(model).startsWith(price.prefix)) || DEFAULT_PRICE;
+}
+
+/**
+ * Estimated USD cost of a call
+ */
+function estimateCost(model, inputTokens, outputTokens) {
+  const price = priceFor(model);
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+// =========================================================
+// STORE
+// =========================================================
+// Append-only JSONL on disk; rollups are rebuilt by replaying it
+// on first use, then kept in memory
+
+// day -> { total, endpoints: { ep -> totals }, classes: { k -> totals } }
+const rollups = {};
+let loaded = false;
+
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+  
+  let raw;
+  try {
+    raw = fs.readFileSync(USAGE_STORE_PATH, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`⚠️ Usage store unreadable (${error.message}), starting empty`);
+    return;
+  }
+  
+  let count = 0;
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      applyRecord(JSON.parse(line));
+      count++;
+    } catch (e) {
+      // Skip torn or hand-edited lines
+    }
+  }
+  
+  console.log(`💰 Usage: loaded ${count} calls from ${USAGE_STORE_PATH}`);
+}
+
+function emptyTotals() {
+  return { calls: 0, in: 0, out: 0, usd: 0, fallbacks: 0, ms: 0, failed: 0, skipped: 0 };
+}
+
+function addTo(totals, record, share = 1) {
+  // Budget skips made no call, so they stay out of calls and the per-call averages
+  if (record.r === 'budget') {
+    totals.skipped += share;
+    return;
+  }
+  
+  totals.calls += share;
+  totals.in += record.in * share;
+  totals.out += record.out * share;
+  totals.usd += record.usd * share;
+  totals.ms += record.ms * share;
+  if (record.fb) totals.fallbacks += share;
+  if (record.r) totals.failed += share;
+}
+
+function applyRecord(record) {
+  const day = record.ts.slice(0, 10);
+  const rollup = rollups[day] = rollups[day] || { total: emptyTotals(), endpoints: {}, classes: {} };
+  
+  addTo(rollup.total, record);
+  addTo(rollup.endpoints[record.ep] = rollup.endpoints[record.ep] || emptyTotals(), record);
+  
+  // A call that produced several cards is split evenly across their classes
+  const classes = record.k.length > 0 ? record.k : ['none'];
+  for (const k of classes) {
+    addTo(rollup.classes[k] = rollup.classes[k] || emptyTotals(), record, 1 / classes.length);
+  }
+}
+
+/**
+ * Record one model call (or one skipped for the budget)
+ * @param {Object} call
+ * @param {string} call.endpoint
+ * @param {string} call.model
+ * @param {{input_tokens?: number, output_tokens?: number}} [call.usage] - As reported by the provider
+ * @param {number} call.ms
+ * @param {boolean} [call.fallback]
+ * @param {string[]} [call.classes]
+ * @param {'budget'|'error'|'aborted'} [call.reason] - See UsageRecord.r
+ */
+function recordUsage({ endpoint, model, usage, ms, fallback = false, classes = [], reason }) {
+  ensureLoaded();
+  
+  const wasOverBudget = isOverBudget();
+  const inputTokens = usage?.input_tokens || 0;
+  const outputTokens = usage?.output_tokens || 0;
+  
+  const record = {
+    ts: new Date().toISOString(),
+    ep: endpoint,
+    model,
+    in: inputTokens,
+    out: outputTokens,
+    ms: Math.round(ms),
+    fb: Boolean(fallback),
+    k: classes,
+    usd: round(estimateCost(model, inputTokens, outputTokens), 6)
+  };
+  if (reason) record.r = reason;
+  
+  applyRecord(record);
+  
+  // Fire and forget: accounting never delays a response
+  fs.promises.mkdir(path.dirname(USAGE_STORE_PATH), { recursive: true })
+    .then(() => fs.promises.appendFile(USAGE_STORE_PATH, JSON.stringify(record) + '\n'))
+    .catch(error => console.warn(`⚠️ Usage store write failed: ${error.message}`));
+  
+  if (!wasOverBudget && isOverBudget()) {
+    console.warn(`💸 Daily model budget of $${DAILY_BUDGET_USD} reached; serving fallbacks until 00:00 UTC`);
+  }
+}
+
+// =========================================================
+// BUDGET
+// =========================================================
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function spentToday() {
+  ensureLoaded();
+  return rollups[today()]?.total.usd || 0;
+}
+
+/**
+ * Whether today's estimated spend has reached LLM_DAILY_BUDGET_USD
+ */
+function isOverBudget() {
+  return DAILY_BUDGET_USD !== null && spentToday() >= DAILY_BUDGET_USD;
+}
+
+// =========================================================
+// SUMMARY
+// =========================================================
+
+/**
+ * Daily rollups for the admin endpoint, newest first
+ * @param {number} [days]
+ */
+function getUsageSummary(days = DEFAULT_SUMMARY_DAYS) {
+  ensureLoaded();
+  
+  const dayKeys = Object.keys(rollups).sort().reverse().slice(0, days);
+  
+  return {
+    store: USAGE_STORE_PATH,
+    budget: {
+      daily: DAILY_BUDGET_USD,
+      spent: round(spentToday(), 4),
+      exhausted: isOverBudget()
+    },
+    prices: PRICE_OVERRIDDEN ? { default: DEFAULT_PRICE } : { models: MODEL_PRICES, default: DEFAULT_PRICE },
+    days: dayKeys.map(day => ({
+      day,
+      ...summarize(rollups[day].total),
+      endpoints: mapValues(rollups[day].endpoints, summarize),
+      classes: mapValues(rollups[day].classes, summarize)
+    }))
+  };
+}
+
+function summarize(totals) {
+  return {
+    calls: round(totals.calls, 2),
+    in: Math.round(totals.in),
+    out: Math.round(totals.out),
+    usd: round(totals.usd, 4),
+    fallbackRate: totals.calls > 0 ? round(totals.fallbacks / totals.calls, 3) : 0,
+    avgMs: totals.calls > 0 ? Math.round(totals.ms / totals.calls) : 0,
+    failed: round(totals.failed, 2),
+    skipped: round(totals.skipped, 2)
+  };
+}
+
+// =========================================================
+// HELPER FUNCTIONS
+// =========================================================
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// =========================================================
+// EXPORTS
+// =========================================================
+
+module.exports = {
+  DAILY_BUDGET_USD,
+  estimateCost,
+  recordUsage,
+  isOverBudget,
+  getUsageSummary
+};
@@ -5,6 +5,8 @@
 // Returns LicensedCandidate objects with full provenance
 // =========================================================
 
+const crypto = require('crypto');
+const { isNonEmptyString, isHttpUrl } = require('./signalpacket');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 
 // =========================================================
@@ -34,7 +36,7 @@ const ATTRIBUTION_REQUIRED = [License.CCBY, License.CCBYSA, License.NASA_PD];
 /**
  * @typedef {Object} LicensedCandidate
  * @property {string} id - Unique identifier (source:itemId)
- * @property {string} u - Thumbnail/display URL
+ * @property {string} [u] - Thumbnail/display URL (optional for k === 'link')
  * @property {string} k - Kind: space|earth|art|photo|culture|link
  * @property {string} ttl - Title (truncated)
  * @property {string} desc - Short description (optional)
@@ -42,454 +44,1040 @@ const ATTRIBUTION_REQUIRED = [License.CCBY, License.CCBYSA, License.NASA_PD];
  * @property {string} lic - License enum value
  * @property {string} att - Attribution text (required for CCBY/CCBYSA)
  * @property {string} link - Canonical source URL (for link-out)
+ * @property {string} [cr] - Creator/artist name, when the source provides one (used for de-duplication)
  * @property {boolean} safe - Passed basic safety checks
  */
 
+/**
+ * Link candidates (k === 'link') carry extra metadata for link-out cards
+ * @typedef {LicensedCandidate} LinkCandidate
+ * @property {string} dom - Display domain of link (no www.)
+ * @property {number|null} score - Upstream score/points, if the source has one
+ * @property {number|null} cmt - Comment count, if the source has one
+ * @property {string|null} pub - Published time (ISO 8601)
+ * @property {string|null} disc - Discussion URL (e.g. HN item page)
+ */
+
+// Field validators per candidate pool; harvestCandidates rejects candidates failing any
+const IMAGE_CANDIDATE_SCHEMA = {
+  id: isNonEmptyString,
+  u: isHttpUrl,
+  k: isNonEmptyString,
+  ttl: isNonEmptyString,
+  src: isNonEmptyString,
+  lic: lic => RENDER_ALLOWED_LICENSES.includes(lic)
+};
+
+const LINK_CANDIDATE_SCHEMA = {
+  id: isNonEmptyString,
+  k: isNonEmptyString,
+  ttl: isNonEmptyString,
+  src: isNonEmptyString,
+  lic: lic => Object.values(License).includes(lic),
+  link: isHttpUrl
+};
+
+/**
+ * Validate a candidate against the schema for its pool
+ * Links and images without a render-allowed license are validated as links
+ * @returns {{pool: 'img'|'lnk', errors: string[]}} errors lists failing field names
+ */
+function validateCandidate(candidate) {
+  const pool = candidate.k === 'link' || !RENDER_ALLOWED_LICENSES.includes(candidate.lic) ? 'lnk' : 'img';
+  const schema = pool === 'lnk' ? LINK_CANDIDATE_SCHEMA : IMAGE_CANDIDATE_SCHEMA;
+  const errors = Object.keys(schema).filter(field => !schema[field](candidate[field]));
+  return { pool, errors };
+}
+
 // =========================================================
-// ALLOWLISTED SOURCE FETCHERS
+// SOURCE REGISTRY
 // =========================================================
+// Each source declares what it serves and how to normalize its
+// items; harvestCandidates resolves surfaces through the registry
 
 /**
- * NASA APOD - Astronomy Picture of the Day
- * License: NASA_PD (public domain, attribution requested)
+ * @typedef {Object} WebScoutSource
+ * @property {string} id - Registry key (also the cache key prefix)
+ * @property {string} name - Display name used in logs
+ * @property {string[]} surfaces - Surfaces this source serves (space|art|culture|photo|tech)
+ * @property {number} limit - Default candidate limit (relative to DEFAULT_SOURCE_LIMIT)
+ * @property {Object<string, string|null>} env - Env vars used; value is the fallback, null = required
+ * @property {{ttl: number, stale: number}} cache - Cache policy in seconds
+ * @property {number} timeout - Deadline for a whole run in ms (env override: WEBSCOUT_TIMEOUT_<SOURCE>)
+ * @property {function(Object): AsyncIterable<Object>} fetch - Yields raw upstream items; receives { limit, env, signal, ...options }
+ *   and must pass `signal` to fetchJSON/fetchText so the deadline can abort it
+ * @property {function(Object): LicensedCandidate|null} normalize - Maps a raw item to a candidate (null = skip)
+ */
+
+const DEFAULT_SOURCE_LIMIT = 5;
+const DEFAULT_SOURCE_TIMEOUT_MS = 5000;
+
+// Retries for 429/5xx responses, with full-jitter exponential backoff
+const retriesOverride = parseInt(process.env.WEBSCOUT_RETRIES);
+const FETCH_RETRIES = Number.isFinite(retriesOverride) ? Math.max(0, retriesOverride) : 2;
+const RETRY_BASE_DELAY_MS = 250;
+const RETRY_MAX_DELAY_MS = 4000;
+
+// Circuit breaker: open after N consecutive failed runs, retry after cooldown
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.WEBSCOUT_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.WEBSCOUT_BREAKER_COOLDOWN_MS) || 60 * 1000;
+
+const sourceRegistry = new Map();
+
+function registerSource(source) {
+  sourceRegistry.set(source.id, {
+    surfaces: [],
+    limit: DEFAULT_SOURCE_LIMIT,
+    env: {},
+    cache: { ttl: 15 * 60, stale: 60 * 60 },
+    timeout: DEFAULT_SOURCE_TIMEOUT_MS,
+    ...source
+  });
+}
+
+function getSource(sourceId) {
+  return sourceRegistry.get(sourceId);
+}
+
+function listSources() {
+  return [...sourceRegistry.values()];
+}
+
+function getSourcesForSurfaces(surfaces) {
+  if (surfaces.includes('all')) return listSources();
+  return listSources().filter(source => source.surfaces.some(s => surfaces.includes(s)));
+}
+
+/**
+ * Resolve a source's env vars, applying fallbacks
+ * @returns {Object|null} env values, or null if a required var is missing
  */
-async function fetchNASAAPOD(limit = 5) {
-  const apiKey = process.env.NASA_API_KEY || 'DEMO_KEY';
+function resolveSourceEnv(source) {
+  const env = {};
+  for (const [name, fallback] of Object.entries(source.env)) {
+    const value = process.env[name] || fallback;
+    if (!value) return null;
+    env[name] = value;
+  }
+  return env;
+}
+
+function isSourceEnabled(source) {
+  return resolveSourceEnv(source) !== null;
+}
+
+// Scale a requested per-source limit by the source's default share
+function scaleSourceLimit(source, limit) {
+  return Math.max(1, Math.ceil(limit * source.limit / DEFAULT_SOURCE_LIMIT));
+}
+
+function getSourceTimeout(source) {
+  const timeout = parseInt(process.env[`WEBSCOUT_TIMEOUT_${source.id.toUpperCase()}`]);
+  return Number.isFinite(timeout) ? timeout : source.timeout;
+}
+
+/**
+ * Run a source: pull raw items until `limit` candidates normalize
+ * Sources with missing env vars or an open breaker return [] without logging.
+ * On deadline or error, whatever was collected so far is returned.
+ */
+async function runSource(source, limit = source.limit, options = {}) {
+  return (await executeSource(source, limit, options)).candidates;
+}
+
+/**
+ * runSource, also reporting whether the run ended early
+ * @returns {Promise<{candidates: LicensedCandidate[], error: string|null}>}
+ */
+async function executeSource(source, limit, options = {}) {
+  const env = resolveSourceEnv(source);
   const candidates = [];
+  let error = null;
+  if (!env || !breakerAllows(source.id)) return { candidates, error };
+  
+  const timeout = getSourceTimeout(source);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const startedAt = Date.now();
   
   try {
+    for await (const item of source.fetch({ limit, env, signal: controller.signal, ...options })) {
+      const candidate = source.normalize(item);
+      if (candidate) candidates.push(candidate);
+      if (candidates.length >= limit) break;
+    }
+    recordBreakerSuccess(source.id);
+    recordSourceRun(source.id, { latency: Date.now() - startedAt, yielded: candidates.length });
+  } catch (e) {
+    error = controller.signal.aborted ? `deadline ${timeout}ms exceeded` : e.message;
+    recordBreakerFailure(source.id, error);
+    recordSourceRun(source.id, { latency: Date.now() - startedAt, yielded: candidates.length, error });
+    console.error(`${source.name} error:`, error);
+  } finally {
+    clearTimeout(timer);
+  }
+  
+  return { candidates, error };
+}
+
+/**
+ * fetch with bounded retries on 429/5xx
+ * Honors Retry-After (seconds) as a lower bound; aborts cleanly via options.signal
+ */
+async function fetchWithRetry(url, options = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, options);
+    const retryable = response.status === 429 || response.status >= 500;
+    if (!retryable || attempt >= FETCH_RETRIES) return response;
+    
+    // Release the connection of the response we're discarding
+    await discardBody(response);
+    await sleep(retryDelay(attempt, response.headers.get('retry-after')), options.signal);
+  }
+}
+
+function retryDelay(attempt, retryAfter) {
+  const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+  const jittered = Math.random() * backoff;
+  const floor = (parseInt(retryAfter) || 0) * 1000;
+  return Math.min(Math.max(jittered, floor), RETRY_MAX_DELAY_MS);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('Aborted'));
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Drain or cancel a response body we won't read (node-fetch streams or WHATWG bodies)
+async function discardBody(response) {
+  try {
+    if (typeof response.body?.cancel === 'function') await response.body.cancel();
+    else if (typeof response.body?.resume === 'function') response.body.resume();
+  } catch (e) {
+    // Already consumed or closed
+  }
+}
+
+async function fetchJSON(url, options) {
+  const response = await fetchWithRetry(url, options);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+}
+
+async function fetchText(url, options) {
+  const response = await fetchWithRetry(url, options);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.text();
+}
+
+// =========================================================
+// CIRCUIT BREAKERS
+// =========================================================
+// closed -> open after BREAKER_FAILURE_THRESHOLD consecutive failures;
+// open -> half_open after BREAKER_COOLDOWN_MS (one trial run);
+// half_open -> closed on success, back to open on failure
+
+const breakers = new Map(); // sourceId -> { state, failures, openedAt, lastError }
+
+function getBreaker(sourceId) {
+  if (!breakers.has(sourceId)) {
+    breakers.set(sourceId, { state: 'closed', failures: 0, openedAt: null, lastError: null });
+  }
+  return breakers.get(sourceId);
+}
+
+function breakerAllows(sourceId) {
+  const breaker = getBreaker(sourceId);
+  if (breaker.state === 'closed') return true;
+  
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half_open';
+    return true;
+  }
+  
+  // open (cooling down) or half_open with its trial run already in flight
+  return false;
+}
+
+function recordBreakerSuccess(sourceId) {
+  const breaker = getBreaker(sourceId);
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.openedAt = null;
+}
+
+function recordBreakerFailure(sourceId, message) {
+  const breaker = getBreaker(sourceId);
+  breaker.failures++;
+  breaker.lastError = message;
+  
+  if (breaker.state === 'half_open' || breaker.failures >= BREAKER_FAILURE_THRESHOLD) {
+    if (breaker.state !== 'open') {
+      console.warn(`⚡ WebScout: circuit open for ${sourceId} (${breaker.failures} failures: ${message})`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Breaker state for every registered source
+ * @returns {Object<string, {state: string, failures: number, openedAt: string|null, lastError: string|null}>}
+ */
+function getBreakerStates() {
+  const states = {};
+  for (const source of listSources()) {
+    const breaker = getBreaker(source.id);
+    states[source.id] = {
+      state: breaker.state,
+      failures: breaker.failures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      lastError: breaker.lastError
+    };
+  }
+  return states;
+}
+
+// =========================================================
+// ALLOWLISTED SOURCES
+// =========================================================
+
+/**
+ * NASA APOD - Astronomy Picture of the Day
+ * License: NASA_PD (public domain, attribution requested)
+ */
+registerSource({
+  id: 'nasa_apod',
+  name: 'NASA APOD',
+  surfaces: ['space'],
+  limit: 5,
+  env: { NASA_API_KEY: 'DEMO_KEY' },
+  cache: { ttl: 6 * 60 * 60, stale: 18 * 60 * 60 },
+  
+  async *fetch({ limit, env, signal }) {
     // Fetch recent APODs
     const endDate = new Date().toISOString().split('T')[0];
     const startDate = new Date(Date.now() - limit * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
     
-    const response = await fetch(
-      `https://api.nasa.gov/planetary/apod?api_key=${apiKey}&start_date=${startDate}&end_date=${endDate}`
+    const data = await fetchJSON(
+      `https://api.nasa.gov/planetary/apod?api_key=${env.NASA_API_KEY}&start_date=${startDate}&end_date=${endDate}`,
+      { signal }
     );
     
-    if (!response.ok) {
-      console.error('NASA APOD fetch failed:', response.status);
-      return candidates;
-    }
-    
-    const data = await response.json();
-    const items = Array.isArray(data) ? data : [data];
+    yield* Array.isArray(data) ? data : [data];
+  },
+  
+  normalize(item) {
+    // Skip videos (no thumbnail available without additional processing)
+    if (item.media_type === 'video') return null;
     
-    for (const item of items.slice(0, limit)) {
-      // Skip videos (no thumbnail available without additional processing)
-      if (item.media_type === 'video') continue;
-      
-      candidates.push({
-        id: `nasa:apod:${item.date}`,
-        u: item.url,
-        k: 'space',
-        ttl: truncate(item.title, 50),
-        desc: truncate(item.explanation, 100),
-        src: 'NASA APOD',
-        lic: License.NASA_PD,
-        att: item.copyright ? `© ${item.copyright} — NASA APOD` : 'NASA/Public Domain',
-        link: `https://apod.nasa.gov/apod/ap${item.date.replace(/-/g, '').slice(2)}.html`,
-        safe: basicSafetyCheck(item.title + ' ' + item.explanation)
-      });
-    }
-  } catch (error) {
-    console.error('NASA APOD error:', error.message);
+    return {
+      id: `nasa:apod:${item.date}`,
+      u: item.url,
+      k: 'space',
+      ttl: truncate(item.title, 50),
+      desc: truncate(item.explanation, 100),
+      src: 'NASA APOD',
+      lic: License.NASA_PD,
+      att: item.copyright ? `© ${item.copyright} — NASA APOD` : 'NASA/Public Domain',
+      link: `https://apod.nasa.gov/apod/ap${item.date.replace(/-/g, '').slice(2)}.html`,
+      safe: basicSafetyCheck(item.title + ' ' + item.explanation)
+    };
   }
-  
-  return candidates;
-}
+});
 
 /**
  * NASA EPIC - Earth Polychromatic Imaging Camera
  * License: NASA_PD
  */
-async function fetchNASAEPIC(limit = 3) {
-  const apiKey = process.env.NASA_API_KEY || 'DEMO_KEY';
-  const candidates = [];
+registerSource({
+  id: 'nasa_epic',
+  name: 'NASA EPIC',
+  surfaces: ['space'],
+  limit: 3,
+  env: { NASA_API_KEY: 'DEMO_KEY' },
+  cache: { ttl: 60 * 60, stale: 5 * 60 * 60 },
   
-  try {
-    const response = await fetch(
-      `https://api.nasa.gov/EPIC/api/natural?api_key=${apiKey}`
-    );
-    
-    if (!response.ok) return candidates;
-    
-    const data = await response.json();
+  async *fetch({ env, signal }) {
+    yield* await fetchJSON(`https://api.nasa.gov/EPIC/api/natural?api_key=${env.NASA_API_KEY}`, { signal });
+  },
+  
+  normalize(item) {
+    const date = item.date.split(' ')[0].replace(/-/g, '/');
     
-    for (const item of data.slice(0, limit)) {
-      const date = item.date.split(' ')[0].replace(/-/g, '/');
-      const imageUrl = `https://epic.gsfc.nasa.gov/archive/natural/${date}/png/${item.image}.png`;
-      
-      candidates.push({
-        id: `nasa:epic:${item.identifier}`,
-        u: imageUrl,
-        k: 'earth',
-        ttl: truncate(item.caption || 'Earth from DSCOVR', 50),
-        desc: 'Earth as seen from deep space',
-        src: 'NASA EPIC',
-        lic: License.NASA_PD,
-        att: 'NASA/DSCOVR EPIC',
-        link: 'https://epic.gsfc.nasa.gov/',
-        safe: true
-      });
-    }
-  } catch (error) {
-    console.error('NASA EPIC error:', error.message);
+    return {
+      id: `nasa:epic:${item.identifier}`,
+      u: `https://epic.gsfc.nasa.gov/archive/natural/${date}/png/${item.image}.png`,
+      k: 'earth',
+      ttl: truncate(item.caption || 'Earth from DSCOVR', 50),
+      desc: 'Earth as seen from deep space',
+      src: 'NASA EPIC',
+      lic: License.NASA_PD,
+      att: 'NASA/DSCOVR EPIC',
+      link: 'https://epic.gsfc.nasa.gov/',
+      safe: true
+    };
   }
-  
-  return candidates;
-}
+});
 
 /**
  * The Metropolitan Museum of Art Open Access
  * License: CC0 for public domain works
  */
-async function fetchMetMuseum(limit = 5) {
-  const candidates = [];
+registerSource({
+  id: 'met',
+  name: 'Met Museum',
+  surfaces: ['art'],
+  cache: { ttl: 12 * 60 * 60, stale: 36 * 60 * 60 },
+  timeout: 8000, // search + sequential object lookups
   
-  try {
+  async *fetch({ limit, signal }) {
     // Search for highlighted works that are public domain
-    const searchResponse = await fetch(
-      'https://collectionapi.metmuseum.org/public/collection/v1/search?isHighlight=true&hasImages=true&q=*'
+    const searchData = await fetchJSON(
+      'https://collectionapi.metmuseum.org/public/collection/v1/search?isHighlight=true&hasImages=true&q=*',
+      { signal }
     );
-    
-    if (!searchResponse.ok) return candidates;
-    
-    const searchData = await searchResponse.json();
     const objectIds = searchData.objectIDs?.slice(0, limit * 3) || []; // Fetch extra since some won't be PD
     
+    // Objects are fetched lazily; runSource stops pulling once limit is reached
     for (const objectId of objectIds) {
-      if (candidates.length >= limit) break;
-      
       try {
-        const objResponse = await fetch(
-          `https://collectionapi.metmuseum.org/public/collection/v1/objects/${objectId}`
-        );
-        
-        if (!objResponse.ok) continue;
-        
-        const obj = await objResponse.json();
-        
-        // Only include public domain works
-        if (!obj.isPublicDomain || !obj.primaryImageSmall) continue;
-        
-        candidates.push({
-          id: `met:${obj.objectID}`,
-          u: obj.primaryImageSmall,
-          k: 'art',
-          ttl: truncate(obj.title, 50),
-          desc: truncate(`${obj.artistDisplayName || 'Unknown'}, ${obj.objectDate || ''}`, 80),
-          src: 'The Met Museum',
-          lic: License.CC0,
-          att: '', // CC0 doesn't require attribution
-          link: obj.objectURL,
-          safe: basicSafetyCheck(obj.title)
-        });
+        yield await fetchJSON(`https://collectionapi.metmuseum.org/public/collection/v1/objects/${objectId}`, { signal });
       } catch (e) {
+        if (signal.aborted) throw e;
         continue;
       }
     }
-  } catch (error) {
-    console.error('Met Museum error:', error.message);
-  }
+  },
   
-  return candidates;
-}
+  normalize(obj) {
+    // Only include public domain works
+    if (!obj.isPublicDomain || !obj.primaryImageSmall) return null;
+    
+    return {
+      id: `met:${obj.objectID}`,
+      u: obj.primaryImageSmall,
+      k: 'art',
+      ttl: truncate(obj.title, 50),
+      desc: truncate(`${obj.artistDisplayName || 'Unknown'}, ${obj.objectDate || ''}`, 80),
+      src: 'The Met Museum',
+      lic: License.CC0,
+      att: '', // CC0 doesn't require attribution
+      link: obj.objectURL,
+      cr: obj.artistDisplayName || '',
+      safe: basicSafetyCheck(obj.title)
+    };
+  }
+});
 
 /**
  * Art Institute of Chicago API
  * License: CC0 for public domain works
  */
-async function fetchArtInstituteChicago(limit = 5) {
-  const candidates = [];
+registerSource({
+  id: 'artic',
+  name: 'Art Institute Chicago',
+  surfaces: ['art'],
+  cache: { ttl: 12 * 60 * 60, stale: 36 * 60 * 60 },
   
-  try {
-    const response = await fetch(
-      `https://api.artic.edu/api/v1/artworks?fields=id,title,image_id,artist_title,date_display,is_public_domain,thumbnail&is_public_domain=true&limit=${limit}`
+  async *fetch({ limit, signal }) {
+    const data = await fetchJSON(
+      `https://api.artic.edu/api/v1/artworks?fields=id,title,image_id,artist_title,date_display,is_public_domain,thumbnail&is_public_domain=true&limit=${limit}`,
+      { signal }
     );
-    
-    if (!response.ok) return candidates;
-    
-    const data = await response.json();
     const iiifBase = data.config?.iiif_url || 'https://www.artic.edu/iiif/2';
     
     for (const artwork of data.data || []) {
-      if (!artwork.image_id || !artwork.is_public_domain) continue;
-      
-      const imageUrl = `${iiifBase}/${artwork.image_id}/full/843,/0/default.jpg`;
-      
-      candidates.push({
-        id: `artic:${artwork.id}`,
-        u: imageUrl,
-        k: 'art',
-        ttl: truncate(artwork.title, 50),
-        desc: truncate(`${artwork.artist_title || 'Unknown'}, ${artwork.date_display || ''}`, 80),
-        src: 'Art Institute Chicago',
-        lic: License.CC0,
-        att: '',
-        link: `https://www.artic.edu/artworks/${artwork.id}`,
-        safe: basicSafetyCheck(artwork.title)
-      });
+      yield { ...artwork, iiifBase };
     }
-  } catch (error) {
-    console.error('Art Institute Chicago error:', error.message);
-  }
+  },
   
-  return candidates;
-}
+  normalize(artwork) {
+    if (!artwork.image_id || !artwork.is_public_domain) return null;
+    
+    return {
+      id: `artic:${artwork.id}`,
+      u: `${artwork.iiifBase}/${artwork.image_id}/full/843,/0/default.jpg`,
+      k: 'art',
+      ttl: truncate(artwork.title, 50),
+      desc: truncate(`${artwork.artist_title || 'Unknown'}, ${artwork.date_display || ''}`, 80),
+      src: 'Art Institute Chicago',
+      lic: License.CC0,
+      att: '',
+      link: `https://www.artic.edu/artworks/${artwork.id}`,
+      cr: artwork.artist_title || '',
+      safe: basicSafetyCheck(artwork.title)
+    };
+  }
+});
 
 /**
  * Smithsonian Open Access
  * License: CC0 for open access items
  */
-async function fetchSmithsonian(limit = 5) {
-  const apiKey = process.env.SMITHSONIAN_API_KEY;
-  const candidates = [];
+registerSource({
+  id: 'smithsonian',
+  name: 'Smithsonian',
+  surfaces: ['culture'],
+  env: { SMITHSONIAN_API_KEY: null },
+  cache: { ttl: 6 * 60 * 60, stale: 18 * 60 * 60 },
   
-  if (!apiKey) {
-    console.warn('Smithsonian API key not configured');
-    return candidates;
-  }
-  
-  try {
-    const response = await fetch(
-      `https://api.si.edu/openaccess/api/v1.0/search?q=online_media_type:Images&rows=${limit}&api_key=${apiKey}`
+  async *fetch({ limit, env, signal }) {
+    const data = await fetchJSON(
+      `https://api.si.edu/openaccess/api/v1.0/search?q=online_media_type:Images&rows=${limit}&api_key=${env.SMITHSONIAN_API_KEY}`,
+      { signal }
     );
     
-    if (!response.ok) return candidates;
+    yield* data.response?.rows || [];
+  },
+  
+  normalize(row) {
+    const content = row.content;
+    if (!content) return null;
     
-    const data = await response.json();
+    // Find an image
+    const media = content.descriptiveNonRepeating?.online_media?.media?.[0];
+    if (!media?.content) return null;
     
-    for (const row of data.response?.rows || []) {
-      const content = row.content;
-      if (!content) continue;
-      
-      // Find an image
-      const media = content.descriptiveNonRepeating?.online_media?.media?.[0];
-      if (!media?.content) continue;
-      
-      candidates.push({
-        id: `smithsonian:${row.id}`,
-        u: media.content,
-        k: 'culture',
-        ttl: truncate(content.descriptiveNonRepeating?.title?.content || 'Smithsonian Item', 50),
-        desc: truncate(content.freetext?.notes?.[0]?.content || '', 80),
-        src: 'Smithsonian',
-        lic: License.CC0,
-        att: '',
-        link: content.descriptiveNonRepeating?.guid || 'https://www.si.edu/openaccess',
-        safe: basicSafetyCheck(content.descriptiveNonRepeating?.title?.content || '')
-      });
-    }
-  } catch (error) {
-    console.error('Smithsonian error:', error.message);
+    return {
+      id: `smithsonian:${row.id}`,
+      u: media.content,
+      k: 'culture',
+      ttl: truncate(content.descriptiveNonRepeating?.title?.content || 'Smithsonian Item', 50),
+      desc: truncate(content.freetext?.notes?.[0]?.content || '', 80),
+      src: 'Smithsonian',
+      lic: License.CC0,
+      att: '',
+      link: content.descriptiveNonRepeating?.guid || 'https://www.si.edu/openaccess',
+      safe: basicSafetyCheck(content.descriptiveNonRepeating?.title?.content || '')
+    };
   }
-  
-  return candidates;
-}
+});
 
 /**
  * Europeana API
  * License: Only items with reuse-friendly rights statements
  */
-async function fetchEuropeana(limit = 5) {
-  const apiKey = process.env.EUROPEANA_API_KEY;
-  const candidates = [];
-  
-  if (!apiKey) {
-    console.warn('Europeana API key not configured');
-    return candidates;
-  }
+registerSource({
+  id: 'europeana',
+  name: 'Europeana',
+  surfaces: ['culture'],
+  env: { EUROPEANA_API_KEY: null },
+  cache: { ttl: 6 * 60 * 60, stale: 18 * 60 * 60 },
   
-  try {
+  async *fetch({ limit, env, signal }) {
     // Filter for open licenses
-    const response = await fetch(
-      `https://api.europeana.eu/record/v2/search.json?wskey=${apiKey}&query=*&rows=${limit * 2}&reusability=open&media=true`
+    const data = await fetchJSON(
+      `https://api.europeana.eu/record/v2/search.json?wskey=${env.EUROPEANA_API_KEY}&query=*&rows=${limit * 2}&reusability=open&media=true`,
+      { signal }
     );
     
-    if (!response.ok) return candidates;
+    yield* data.items || [];
+  },
+  
+  normalize(item) {
+    const imageUrl = item.edmPreview?.[0];
+    if (!imageUrl) return null;
     
-    const data = await response.json();
+    // Parse rights statement
+    const license = parseEuropeanaRights(item.rights?.[0]);
+    if (license === License.UNKNOWN || license === License.NOT_ALLOWED) return null;
     
-    for (const item of data.items || []) {
-      if (candidates.length >= limit) break;
-      
-      const imageUrl = item.edmPreview?.[0];
-      if (!imageUrl) continue;
-      
-      // Parse rights statement
-      const license = parseEuropeanaRights(item.rights?.[0]);
-      if (license === License.UNKNOWN || license === License.NOT_ALLOWED) continue;
-      
-      candidates.push({
-        id: `europeana:${item.id}`,
-        u: imageUrl,
-        k: 'culture',
-        ttl: truncate(item.title?.[0] || 'Europeana Item', 50),
-        desc: truncate(item.dcDescription?.[0] || '', 80),
-        src: 'Europeana',
-        lic: license,
-        att: license === License.CCBY || license === License.CCBYSA ? 
-          `${item.dcCreator?.[0] || 'Unknown'} — ${rightsToString(license)}` : '',
-        link: item.guid || `https://www.europeana.eu/item${item.id}`,
-        safe: basicSafetyCheck((item.title?.[0] || '') + ' ' + (item.dcDescription?.[0] || ''))
-      });
-    }
-  } catch (error) {
-    console.error('Europeana error:', error.message);
+    return {
+      id: `europeana:${item.id}`,
+      u: imageUrl,
+      k: 'culture',
+      ttl: truncate(item.title?.[0] || 'Europeana Item', 50),
+      desc: truncate(item.dcDescription?.[0] || '', 80),
+      src: 'Europeana',
+      lic: license,
+      att: license === License.CCBY || license === License.CCBYSA ? 
+        `${item.dcCreator?.[0] || 'Unknown'} — ${rightsToString(license)}` : '',
+      link: item.guid || `https://www.europeana.eu/item${item.id}`,
+      cr: item.dcCreator?.[0] || '',
+      safe: basicSafetyCheck((item.title?.[0] || '') + ' ' + (item.dcDescription?.[0] || ''))
+    };
   }
-  
-  return candidates;
-}
+});
 
 /**
  * Unsplash API
  * License: Unsplash license (free to use, attribution appreciated but not required)
  * Note: We treat as CC0-equivalent for our purposes
  */
-async function fetchUnsplash(limit = 5, query = 'nature') {
-  const accessKey = process.env.UNSPLASH_ACCESS_KEY;
-  const candidates = [];
+registerSource({
+  id: 'unsplash',
+  name: 'Unsplash',
+  surfaces: ['photo'],
+  env: { UNSPLASH_ACCESS_KEY: null },
+  cache: { ttl: 30 * 60, stale: 2 * 60 * 60 },
   
-  if (!accessKey) {
-    console.warn('Unsplash API key not configured');
-    return candidates;
-  }
-  
-  try {
-    const response = await fetch(
+  async *fetch({ limit, env, query = 'nature', signal }) {
+    yield* await fetchJSON(
       `https://api.unsplash.com/photos/random?count=${limit}&query=${encodeURIComponent(query)}`,
       {
         headers: {
-          'Authorization': `Client-ID ${accessKey}`
-        }
+          'Authorization': `Client-ID ${env.UNSPLASH_ACCESS_KEY}`
+        },
+        signal
       }
     );
+  },
+  
+  normalize(photo) {
+    // Skip if no valid URL
+    const imageUrl = photo.urls?.regular || photo.urls?.small;
+    if (!imageUrl) return null;
     
-    if (!response.ok) return candidates;
-    
-    const photos = await response.json();
-    
-    for (const photo of photos) {
-      // Skip if no valid URL
-      const imageUrl = photo.urls?.regular || photo.urls?.small;
-      if (!imageUrl) continue;
-      
-      candidates.push({
-        id: `unsplash:${photo.id}`,
-        u: imageUrl,
-        k: 'photo',
-        ttl: truncate(photo.description || photo.alt_description || 'Unsplash Photo', 50),
-        desc: truncate(`Photo by ${photo.user?.name || 'Unknown'}`, 60),
-        src: 'Unsplash',
-        lic: License.CC0, // Unsplash license is essentially free use
-        att: `Photo by ${photo.user?.name || 'Unknown'} on Unsplash`,
-        link: photo.links?.html || `https://unsplash.com/photos/${photo.id}`,
-        safe: basicSafetyCheck((photo.description || '') + ' ' + (photo.alt_description || ''))
-      });
-    }
-  } catch (error) {
-    console.error('Unsplash error:', error.message);
+    return {
+      id: `unsplash:${photo.id}`,
+      u: imageUrl,
+      k: 'photo',
+      ttl: truncate(photo.description || photo.alt_description || 'Unsplash Photo', 50),
+      desc: truncate(`Photo by ${photo.user?.name || 'Unknown'}`, 60),
+      src: 'Unsplash',
+      lic: License.CC0, // Unsplash license is essentially free use
+      att: `Photo by ${photo.user?.name || 'Unknown'} on Unsplash`,
+      link: photo.links?.html || `https://unsplash.com/photos/${photo.id}`,
+      cr: photo.user?.name || '',
+      safe: basicSafetyCheck((photo.description || '') + ' ' + (photo.alt_description || ''))
+    };
   }
-  
-  return candidates;
-}
+});
 
 /**
  * Hacker News - Top Stories
  * License: Link-only (no content copying)
  * Returns as "link" type candidates
  */
-async function fetchHackerNews(limit = 5) {
-  const candidates = [];
+registerSource({
+  id: 'hn',
+  name: 'Hacker News',
+  surfaces: ['tech'],
+  cache: { ttl: 5 * 60, stale: 15 * 60 },
+  timeout: 8000, // one lookup per story
   
-  try {
-    const topStoriesRes = await fetch('https://hacker-news.firebaseio.com/v0/topstories.json');
-    if (!topStoriesRes.ok) return candidates;
-    
-    const storyIds = await topStoriesRes.json();
+  async *fetch({ limit, signal }) {
+    const storyIds = await fetchJSON('https://hacker-news.firebaseio.com/v0/topstories.json', { signal });
     
     for (const id of storyIds.slice(0, limit)) {
       try {
-        const storyRes = await fetch(`https://hacker-news.firebaseio.com/v0/item/${id}.json`);
-        if (!storyRes.ok) continue;
-        
-        const story = await storyRes.json();
-        if (!story || story.type !== 'story' || !story.url) continue;
-        
-        candidates.push({
-          id: `hn:${story.id}`,
-          u: '', // No image for link cards
-          k: 'link',
-          ttl: truncate(story.title, 60),
-          desc: truncate(`${story.score} points · ${story.descendants || 0} comments`, 40),
-          src: 'Hacker News',
-          lic: License.UNKNOWN, // Link only - don't render images
-          att: '',
-          link: story.url,
-          safe: basicSafetyCheck(story.title)
-        });
+        yield await fetchJSON(`https://hacker-news.firebaseio.com/v0/item/${id}.json`, { signal });
       } catch (e) {
+        if (signal.aborted) throw e;
         continue;
       }
     }
-  } catch (error) {
-    console.error('Hacker News error:', error.message);
-  }
+  },
   
-  return candidates;
-}
+  normalize(story) {
+    if (!story || story.type !== 'story' || !story.url) return null;
+    
+    return {
+      id: `hn:${story.id}`,
+      k: 'link', // No image for link cards
+      ttl: truncate(story.title, 60),
+      desc: truncate(`${story.score} points · ${story.descendants || 0} comments`, 40),
+      src: 'Hacker News',
+      lic: License.UNKNOWN, // Link only - don't render images
+      att: '',
+      link: story.url,
+      dom: linkDomain(story.url),
+      score: story.score ?? null,
+      cmt: story.descendants ?? 0,
+      pub: story.time ? new Date(story.time * 1000).toISOString() : null,
+      disc: `https://news.ycombinator.com/item?id=${story.id}`,
+      safe: basicSafetyCheck(story.title)
+    };
+  }
+});
 
 /**
  * Wikimedia Commons (carefully filtered)
  * License: Only CC0/PD/CCBY/CCBYSA
  */
-async function fetchWikimediaCommons(limit = 5, category = 'Featured_pictures') {
-  const candidates = [];
+registerSource({
+  id: 'wikimedia',
+  name: 'Wikimedia Commons',
+  surfaces: ['culture'],
+  cache: { ttl: 6 * 60 * 60, stale: 18 * 60 * 60 },
   
-  try {
+  async *fetch({ limit, category = 'Featured_pictures', signal }) {
     // Fetch from a known good category
-    const response = await fetch(
-      `https://commons.wikimedia.org/w/api.php?action=query&generator=categorymembers&gcmtitle=Category:${encodeURIComponent(category)}&gcmtype=file&gcmlimit=${limit * 2}&prop=imageinfo&iiprop=url|extmetadata&iiurlwidth=800&format=json`
+    const data = await fetchJSON(
+      `https://commons.wikimedia.org/w/api.php?action=query&generator=categorymembers&gcmtitle=Category:${encodeURIComponent(category)}&gcmtype=file&gcmlimit=${limit * 2}&prop=imageinfo&iiprop=url|extmetadata&iiurlwidth=800&format=json`,
+      { signal }
     );
     
-    if (!response.ok) return candidates;
+    yield* Object.values(data.query?.pages || {});
+  },
+  
+  normalize(page) {
+    const imageinfo = page.imageinfo?.[0];
+    if (!imageinfo) return null;
     
-    const data = await response.json();
-    const pages = data.query?.pages || {};
+    const metadata = imageinfo.extmetadata || {};
+    const license = parseWikimediaLicense(metadata.LicenseShortName?.value);
     
-    for (const page of Object.values(pages)) {
-      if (candidates.length >= limit) break;
-      
-      const imageinfo = page.imageinfo?.[0];
-      if (!imageinfo) continue;
+    // Only allow verified reuse licenses
+    if (!RENDER_ALLOWED_LICENSES.includes(license)) return null;
+    
+    const artist = metadata.Artist?.value?.replace(/<[^>]*>/g, '') || 'Unknown';
+    
+    return {
+      id: `wc:${page.pageid}`,
+      u: imageinfo.thumburl || imageinfo.url,
+      k: 'photo',
+      ttl: truncate(page.title.replace('File:', '').replace(/\.[^.]+$/, ''), 50),
+      desc: truncate(metadata.ImageDescription?.value?.replace(/<[^>]*>/g, '') || '', 80),
+      src: 'Wikimedia Commons',
+      lic: license,
+      att: ATTRIBUTION_REQUIRED.includes(license) ? 
+        `${truncate(artist, 40)} — ${rightsToString(license)}` : '',
+      link: imageinfo.descriptionurl || `https://commons.wikimedia.org/wiki/${encodeURIComponent(page.title)}`,
+      cr: artist === 'Unknown' ? '' : artist,
+      safe: basicSafetyCheck(page.title + ' ' + (metadata.ImageDescription?.value || ''))
+    };
+  }
+});
+
+/**
+ * Lobsters - Hottest stories
+ * License: Link-only (no content copying)
+ */
+registerSource({
+  id: 'lobsters',
+  name: 'Lobsters',
+  surfaces: ['tech'],
+  cache: { ttl: 10 * 60, stale: 30 * 60 },
+  
+  async *fetch({ signal }) {
+    yield* await fetchJSON('https://lobste.rs/hottest.json', { signal });
+  },
+  
+  normalize(story) {
+    const link = story.url || story.comments_url;
+    if (!story.short_id || !link) return null;
+    
+    return {
+      id: `lobsters:${story.short_id}`,
+      k: 'link',
+      ttl: truncate(story.title, 60),
+      desc: truncate(`${story.score} points · ${story.comment_count || 0} comments`, 40),
+      src: 'Lobsters',
+      lic: License.UNKNOWN, // Link only
+      att: '',
+      link,
+      dom: linkDomain(link),
+      score: story.score ?? null,
+      cmt: story.comment_count ?? 0,
+      pub: toISODate(story.created_at),
+      disc: story.comments_url || null,
+      safe: basicSafetyCheck(story.title)
+    };
+  }
+});
+
+/**
+ * arXiv - Latest submissions for configured categories (Atom API)
+ * License: Link-only (abstract pages, no content copying)
+ */
+registerSource({
+  id: 'arxiv',
+  name: 'arXiv',
+  surfaces: ['tech'],
+  env: { ARXIV_CATEGORIES: 'cs.AI,cs.LG' },
+  cache: { ttl: 60 * 60, stale: 6 * 60 * 60 },
+  
+  async *fetch({ limit, env, signal }) {
+    const query = env.ARXIV_CATEGORIES.split(',').map(cat => `cat:${cat.trim()}`).join('+OR+');
+    const xml = await fetchText(
+      `https://export.arxiv.org/api/query?search_query=${query}&sortBy=submittedDate&sortOrder=descending&max_results=${limit}`,
+      { signal }
+    );
+    
+    yield* parseFeed(xml).entries;
+  },
+  
+  normalize(entry) {
+    // Entry ids look like http://arxiv.org/abs/2401.01234v1
+    const arxivId = entry.id.match(/abs\/(.+?)(v\d+)?$/)?.[1];
+    if (!arxivId) return null;
+    
+    const link = `https://arxiv.org/abs/${arxivId}`;
+    
+    return {
+      id: `arxiv:${arxivId}`,
+      k: 'link',
+      ttl: truncate(entry.title.replace(/\s+/g, ' '), 60),
+      desc: truncate(entry.summary.replace(/\s+/g, ' '), 100),
+      src: 'arXiv',
+      lic: License.UNKNOWN, // Link only - preprint licenses vary
+      att: '',
+      link,
+      dom: 'arxiv.org',
+      score: null,
+      cmt: null,
+      pub: entry.pub,
+      disc: null,
+      safe: basicSafetyCheck(entry.title + ' ' + entry.summary)
+    };
+  }
+});
+
+/**
+ * Generic RSS/Atom feeds, one source per surface
+ * Configured with WEBSCOUT_FEEDS_<SURFACE> (comma-separated feed URLs)
+ * License: Link-only (no content copying)
+ */
+for (const surface of ['space', 'art', 'culture', 'photo', 'tech']) {
+  const envName = `WEBSCOUT_FEEDS_${surface.toUpperCase()}`;
+  
+  registerSource({
+    id: `rss_${surface}`,
+    name: `RSS (${surface})`,
+    surfaces: [surface],
+    env: { [envName]: null },
+    cache: { ttl: 30 * 60, stale: 2 * 60 * 60 },
+    
+    async *fetch({ env, signal }) {
+      const urls = env[envName].split(',').map(url => url.trim()).filter(Boolean);
       
-      const metadata = imageinfo.extmetadata || {};
-      const license = parseWikimediaLicense(metadata.LicenseShortName?.value);
+      // Fetch feeds in parallel; one broken feed shouldn't drop the others
+      const results = await Promise.allSettled(urls.map(url => fetchText(url, { signal })));
+      const feeds = [];
       
-      // Only allow verified reuse licenses
-      if (!RENDER_ALLOWED_LICENSES.includes(license)) continue;
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          const feed = parseFeed(result.value);
+          feeds.push(feed.entries.map(entry => ({ ...entry, feedTitle: feed.title, feedUrl: urls[i] })));
+        } else {
+          console.error(`RSS feed error (${urls[i]}):`, result.reason.message);
+        }
+      });
       
-      const artist = metadata.Artist?.value?.replace(/<[^>]*>/g, '') || 'Unknown';
+      // Interleave feeds so the first feed doesn't fill the whole limit
+      for (let i = 0; feeds.some(entries => i < entries.length); i++) {
+        for (const entries of feeds) {
+          if (i < entries.length) yield entries[i];
+        }
+      }
+    },
+    
+    normalize(entry) {
+      if (!entry.title || !isHttpUrl(entry.link)) return null;
       
-      candidates.push({
-        id: `wc:${page.pageid}`,
-        u: imageinfo.thumburl || imageinfo.url,
-        k: 'photo',
-        ttl: truncate(page.title.replace('File:', '').replace(/\.[^.]+$/, ''), 50),
-        desc: truncate(metadata.ImageDescription?.value?.replace(/<[^>]*>/g, '') || '', 80),
-        src: 'Wikimedia Commons',
-        lic: license,
-        att: ATTRIBUTION_REQUIRED.includes(license) ? 
-          `${truncate(artist, 40)} — ${rightsToString(license)}` : '',
-        link: imageinfo.descriptionurl || `https://commons.wikimedia.org/wiki/${encodeURIComponent(page.title)}`,
-        safe: basicSafetyCheck(page.title + ' ' + (metadata.ImageDescription?.value || ''))
-      });
+      return {
+        id: `rss:${shortHash(entry.id || entry.link)}`,
+        k: 'link',
+        ttl: truncate(entry.title, 60),
+        desc: truncate(entry.summary, 100),
+        src: truncate(entry.feedTitle || linkDomain(entry.feedUrl), 40),
+        lic: License.UNKNOWN, // Link only
+        att: '',
+        link: entry.link,
+        dom: linkDomain(entry.link),
+        score: null,
+        cmt: null,
+        pub: entry.pub,
+        disc: isHttpUrl(entry.comments) ? entry.comments : null,
+        safe: basicSafetyCheck(entry.title + ' ' + entry.summary)
+      };
     }
-  } catch (error) {
-    console.error('Wikimedia Commons error:', error.message);
+  });
+}
+
+// Direct fetchers (kept for callers that target a single source)
+const fetchNASAAPOD = (limit = 5) => runSource(getSource('nasa_apod'), limit);
+const fetchNASAEPIC = (limit = 3) => runSource(getSource('nasa_epic'), limit);
+const fetchMetMuseum = (limit = 5) => runSource(getSource('met'), limit);
+const fetchArtInstituteChicago = (limit = 5) => runSource(getSource('artic'), limit);
+const fetchSmithsonian = (limit = 5) => runSource(getSource('smithsonian'), limit);
+const fetchEuropeana = (limit = 5) => runSource(getSource('europeana'), limit);
+const fetchUnsplash = (limit = 5, query = 'nature') => runSource(getSource('unsplash'), limit, { query });
+const fetchHackerNews = (limit = 5) => runSource(getSource('hn'), limit);
+const fetchWikimediaCommons = (limit = 5, category = 'Featured_pictures') =>
+  runSource(getSource('wikimedia'), limit, { category });
+const fetchLobsters = (limit = 5) => runSource(getSource('lobsters'), limit);
+const fetchArxiv = (limit = 5) => runSource(getSource('arxiv'), limit);
+
+// =========================================================
+// SOURCE HEALTH
+// =========================================================
+// Rolling per-source run stats for /health?deep=1
+
+const SOURCE_STATS_WINDOW = 100; // runs kept for percentiles/yield
+
+const sourceStats = new Map(); // sourceId -> { runs, failures, lastSuccessAt, lastErrorAt, lastError, latencies, yields }
+
+// Outside observers (metrics) of every source run: listener(sourceId, { latency, yielded, error })
+const sourceRunListeners = [];
+
+function onSourceRun(listener) {
+  sourceRunListeners.push(listener);
+}
+
+function recordSourceRun(sourceId, { latency, yielded, error = null }) {
+  for (const listener of sourceRunListeners) {
+    try {
+      listener(sourceId, { latency, yielded, error });
+    } catch (e) {
+      console.warn(`⚠️ WebScout run listener failed: ${e.message}`);
+    }
+  }
+  
+  if (!sourceStats.has(sourceId)) {
+    sourceStats.set(sourceId, {
+      runs: 0,
+      failures: 0,
+      lastSuccessAt: null,
+      lastErrorAt: null,
+      lastError: null,
+      latencies: [],
+      yields: []
+    });
   }
   
-  return candidates;
+  const stats = sourceStats.get(sourceId);
+  stats.runs++;
+  
+  if (error) {
+    stats.failures++;
+    stats.lastErrorAt = Date.now();
+    stats.lastError = error;
+  } else {
+    stats.lastSuccessAt = Date.now();
+  }
+  
+  stats.latencies.push(latency);
+  stats.yields.push(yielded);
+  if (stats.latencies.length > SOURCE_STATS_WINDOW) stats.latencies.shift();
+  if (stats.yields.length > SOURCE_STATS_WINDOW) stats.yields.shift();
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Detailed health for every registered source
+ * Latency percentiles and yield cover the last SOURCE_STATS_WINDOW runs
+ */
+function getSourceHealth() {
+  const breakerStates = getBreakerStates();
+  
+  return listSources().map(source => {
+    const stats = sourceStats.get(source.id);
+    const toISO = ts => ts ? new Date(ts).toISOString() : null;
+    
+    return {
+      id: source.id,
+      name: source.name,
+      surfaces: source.surfaces,
+      configured: isSourceEnabled(source),
+      breaker: breakerStates[source.id].state,
+      runs: stats?.runs || 0,
+      failures: stats?.failures || 0,
+      lastSuccess: toISO(stats?.lastSuccessAt),
+      lastError: stats?.lastError ? { at: toISO(stats.lastErrorAt), message: stats.lastError } : null,
+      latencyMs: {
+        p50: percentile(stats?.latencies || [], 50),
+        p90: percentile(stats?.latencies || [], 90),
+        p99: percentile(stats?.latencies || [], 99)
+      },
+      yield: {
+        last: stats?.yields.length ? stats.yields[stats.yields.length - 1] : null,
+        avg: stats?.yields.length ? +(stats.yields.reduce((a, b) => a + b, 0) / stats.yields.length).toFixed(1) : null
+      }
+    };
+  });
+}
+
+// =========================================================
+// CANDIDATE CACHE
+// =========================================================
+// Per-source cache with stale-while-revalidate refresh and
+// single-flight de-duplication of concurrent upstream fetches
+
+const candidateCache = new Map(); // key -> { candidates, fetchedAt }
+const inflightFetches = new Map(); // key -> Promise<LicensedCandidate[]>
+
+/**
+ * Resolve cache policy for a source in milliseconds
+ * Env overrides: WEBSCOUT_TTL_<SOURCE> and WEBSCOUT_STALE_<SOURCE> (seconds)
+ */
+function getCachePolicy(sourceId) {
+  const defaults = getSource(sourceId).cache;
+  const envKey = sourceId.toUpperCase();
+  const ttl = parseInt(process.env[`WEBSCOUT_TTL_${envKey}`]);
+  const stale = parseInt(process.env[`WEBSCOUT_STALE_${envKey}`]);
+  
+  return {
+    ttl: (Number.isFinite(ttl) ? ttl : defaults.ttl) * 1000,
+    stale: (Number.isFinite(stale) ? stale : defaults.stale) * 1000
+  };
+}
+
+/**
+ * Fetch candidates for a source through the cache
+ * @param {function(): Promise<{candidates: LicensedCandidate[], error: string|null}>} fetcher
+ * @returns {Promise<{sourceId: string, status: string, age: number, candidates: LicensedCandidate[]}>}
+ *   status: hit (fresh), stale (served while refreshing), miss (fetched), shared (joined in-flight fetch)
+ */
+async function cachedFetch(sourceId, limit, fetcher) {
+  const key = `${sourceId}:${limit}`;
+  const { ttl, stale } = getCachePolicy(sourceId);
+  const entry = candidateCache.get(key);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+  
+  if (entry && age < ttl) {
+    return { sourceId, status: 'hit', age, candidates: entry.candidates };
+  }
+  
+  if (entry && age < ttl + stale) {
+    // Serve stale, refresh in background (errors already logged by fetchers)
+    refreshCacheEntry(key, fetcher).catch(() => {});
+    return { sourceId, status: 'stale', age, candidates: entry.candidates };
+  }
+  
+  const shared = inflightFetches.has(key);
+  const candidates = await refreshCacheEntry(key, fetcher);
+  return { sourceId, status: shared ? 'shared' : 'miss', age: 0, candidates };
+}
+
+function refreshCacheEntry(key, fetcher) {
+  if (inflightFetches.has(key)) return inflightFetches.get(key);
+  
+  const promise = fetcher()
+    .then(({ candidates, error }) => {
+      // Only complete runs are cached: a failed or deadline-cut run (e.g. a
+      // Met run stopped halfway) is served once, never kept for the TTL
+      if (candidates.length > 0 && !error) {
+        candidateCache.set(key, { candidates, fetchedAt: Date.now() });
+      }
+      return candidates;
+    })
+    .finally(() => inflightFetches.delete(key));
+  
+  inflightFetches.set(key, promise);
+  return promise;
+}
+
+function clearCandidateCache() {
+  candidateCache.clear();
 }
 
 // =========================================================
@@ -503,6 +1091,18 @@ function truncate(str, maxLen) {
   return str.slice(0, maxLen - 1) + '…';
 }
 
+function shortHash(str) {
+  return crypto.createHash('sha1').update(str).digest('hex').slice(0, 12);
+}
+
+function linkDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
 function basicSafetyCheck(text) {
   if (!text) return true;
   const lower = text.toLowerCase();
@@ -570,63 +1170,325 @@ function rightsToString(license) {
 }
 
 // =========================================================
-// MAIN HARVEST FUNCTION
+// FEED PARSING (RSS 2.0 / Atom)
 // =========================================================
+// Minimal tag-level parser; enough for titles, links, dates and
+// summaries without pulling in an XML dependency
 
 /**
- * Harvest licensed candidates from specified surfaces
- * @param {string[]} surfaces - Array of surface types to fetch
- * @param {number} limit - Max candidates per source
- * @returns {Promise<{img: LicensedCandidate[], lnk: LicensedCandidate[]}>}
+ * Parse an RSS 2.0 or Atom document
+ * @param {string} xml - Raw feed XML
+ * @returns {{title: string, entries: Array<{id: string, title: string, link: string, summary: string, pub: string|null, comments: string}>}}
  */
-async function harvestCandidates(surfaces = ['space', 'art', 'culture', 'tech'], limit = 5) {
-  const allImages = [];
-  const allLinks = [];
+function parseFeed(xml) {
+  const entries = [];
+  const entryPattern = /<(item|entry)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  let match;
   
-  const fetchers = [];
+  while ((match = entryPattern.exec(xml)) !== null) {
+    const body = match[2];
+    
+    entries.push({
+      id: xmlText(body, 'guid') || xmlText(body, 'id'),
+      title: stripTags(xmlText(body, 'title')),
+      link: xmlText(body, 'link') || atomLink(body),
+      summary: stripTags(xmlText(body, 'description') || xmlText(body, 'summary') || xmlText(body, 'content')),
+      pub: toISODate(xmlText(body, 'pubDate') || xmlText(body, 'published') || xmlText(body, 'updated') || xmlText(body, 'dc:date')),
+      comments: xmlText(body, 'comments')
+    });
+  }
+  
+  // Feed title is the first <title> outside any entry
+  const head = xml.split(/<(?:item|entry)\b/i)[0];
   
-  // Map surfaces to fetchers
-  if (surfaces.includes('space') || surfaces.includes('all')) {
-    fetchers.push(fetchNASAAPOD(limit));
-    fetchers.push(fetchNASAEPIC(Math.ceil(limit / 2)));
+  return { title: xmlText(head, 'title'), entries };
+}
+
+// Text content of the first <tag>, with CDATA unwrapped and entities decoded
+function xmlText(body, tag) {
+  const match = body.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+  if (!match) return '';
+  
+  const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return (cdata ? cdata[1] : decodeEntities(match[1])).trim();
+}
+
+// Atom <link href="..."/>, preferring rel="alternate" (or no rel)
+function atomLink(body) {
+  const links = [...body.matchAll(/<link\b([^>]*?)\/?>/gi)].map(([, attrs]) => ({
+    href: attrs.match(/\bhref\s*=\s*["']([^"']+)["']/i)?.[1],
+    rel: attrs.match(/\brel\s*=\s*["']([^"']+)["']/i)?.[1] || 'alternate'
+  }));
+  
+  const link = links.find(l => l.href && l.rel === 'alternate') || links.find(l => l.href);
+  return link ? decodeEntities(link.href) : '';
+}
+
+function decodeEntities(str) {
+  return str
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function toISODate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+// =========================================================
+// DEDUPLICATION & DIVERSITY
+// =========================================================
+// The same work often shows up via several sources (e.g. a Met
+// piece mirrored on Wikimedia and Europeana); collapse those, then
+// select round-robin across kinds and sources so none dominates
+
+// Preferred license when collapsing duplicates (no attribution burden first)
+const LICENSE_PREFERENCE = [License.PD, License.CC0, License.NASA_PD, License.CCBY, License.CCBYSA];
+
+// Filename stems too generic to identify an image
+const GENERIC_IMAGE_STEMS = ['default', 'image', 'full', 'large', 'small', 'medium', 'thumb', 'thumbnail', 'original', 'index'];
+
+// Query params naming the image when the path is a service endpoint
+// (e.g. ids.si.edu/ids/deliveryService?id=NMAH-2005-1234)
+const IMAGE_ID_PARAMS = ['id', 'image', 'img', 'file', 'filename'];
+
+// Query params that never change what a URL points at
+const TRACKING_PARAMS = /^(utm_.+|ref|ref_src|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+function normalizeText(str) {
+  return (str || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Canonical form of a URL for equality checks
+ * Drops protocol, www., hash, tracking params and trailing slash; sorts query
+ */
+function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${parsed.hostname.replace(/^www\./, '').toLowerCase()}${path}${query}`;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Host-independent fingerprint of an image URL
+ * Matches resized/mirrored copies: strips size prefixes (800px-), size suffixes,
+ * extensions, and uses the IIIF identifier, or the id param of an extensionless
+ * service endpoint, when present
+ */
+function imageFingerprint(url) {
+  try {
+    const parsed = new URL(url);
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    const last = segments[segments.length - 1] || '';
+    const idParam = IMAGE_ID_PARAMS.find(name => parsed.searchParams.get(name));
+    
+    // IIIF: {base}/{identifier}/full/{size}/0/default.jpg
+    const iiifIndex = segments.indexOf('full');
+    let stem;
+    if (iiifIndex > 0) {
+      stem = segments[iiifIndex - 1];
+    } else if (idParam && !/\.[a-z0-9]+$/i.test(last)) {
+      stem = parsed.searchParams.get(idParam);
+    } else {
+      stem = last;
+    }
+    
+    stem = decodeURIComponent(stem)
+      .toLowerCase()
+      .replace(/\.[a-z0-9]+$/, '')
+      .replace(/^\d+px-/, '')
+      .replace(/[_-](small|medium|large|thumb|\d+x\d+|\d+w)$/, '')
+      .replace(/[^a-z0-9]+/g, '');
+    
+    if (stem.length < 6 || GENERIC_IMAGE_STEMS.includes(stem)) return '';
+    return stem;
+  } catch (e) {
+    return '';
   }
+}
+
+// Identity keys of a candidate; two candidates sharing any key are duplicates
+function candidateKeys(candidate) {
+  const keys = [];
   
-  if (surfaces.includes('art') || surfaces.includes('all')) {
-    fetchers.push(fetchMetMuseum(limit));
-    fetchers.push(fetchArtInstituteChicago(limit));
+  if (candidate.k === 'link') {
+    const link = canonicalUrl(candidate.link);
+    if (link) keys.push(`link:${link}`);
+    return keys;
   }
   
-  if (surfaces.includes('culture') || surfaces.includes('all')) {
-    fetchers.push(fetchSmithsonian(limit));
-    fetchers.push(fetchEuropeana(limit));
-    fetchers.push(fetchWikimediaCommons(limit));
+  const url = canonicalUrl(candidate.u);
+  if (url) keys.push(`url:${url}`);
+  
+  const fingerprint = imageFingerprint(candidate.u);
+  if (fingerprint) keys.push(`img:${fingerprint}`);
+  
+  // Title alone is too weak (e.g. every EPIC frame shares a caption), so require a creator
+  const title = normalizeText(candidate.ttl);
+  const creator = normalizeText(candidate.cr);
+  if (title && creator) keys.push(`work:${title}|${creator}`);
+  
+  return keys;
+}
+
+function licenseRank(candidate) {
+  const rank = LICENSE_PREFERENCE.indexOf(candidate.lic);
+  return rank === -1 ? LICENSE_PREFERENCE.length : rank;
+}
+
+/**
+ * Collapse cross-source duplicates, keeping the copy with the least restrictive license
+ * @param {LicensedCandidate[]} candidates
+ * @returns {LicensedCandidate[]}
+ */
+function dedupeCandidates(candidates) {
+  const result = [];
+  const seen = new Map(); // key -> index in result
+  
+  for (const candidate of candidates) {
+    const keys = candidateKeys(candidate);
+    const existing = keys.map(key => seen.get(key)).find(index => index !== undefined);
+    
+    if (existing === undefined) {
+      keys.forEach(key => seen.set(key, result.length));
+      result.push(candidate);
+      continue;
+    }
+    
+    if (licenseRank(candidate) < licenseRank(result[existing])) {
+      result[existing] = candidate;
+    }
+    keys.forEach(key => seen.set(key, existing));
   }
   
-  if (surfaces.includes('photo') || surfaces.includes('all')) {
-    fetchers.push(fetchUnsplash(limit));
+  return result;
+}
+
+/**
+ * Pick up to `limit` candidates, rotating across kinds and, within a kind, across sources
+ * Order within each source is shuffled so repeated calls vary (unless seeded)
+ * @param {LicensedCandidate[]} candidates
+ * @param {number} limit
+ * @param {function(): number} [random] - Uniform [0, 1) generator (see createRandom)
+ * @returns {LicensedCandidate[]}
+ */
+function selectDiverse(candidates, limit, random = Math.random) {
+  // kind -> queue of per-source candidate lists
+  const byKind = new Map();
+  
+  for (const candidate of shuffle(candidates, random)) {
+    if (!byKind.has(candidate.k)) byKind.set(candidate.k, new Map());
+    const bySource = byKind.get(candidate.k);
+    if (!bySource.has(candidate.src)) bySource.set(candidate.src, []);
+    bySource.get(candidate.src).push(candidate);
   }
   
-  if (surfaces.includes('tech') || surfaces.includes('all')) {
-    fetchers.push(fetchHackerNews(limit));
+  const kinds = shuffle([...byKind.keys()], random).map(kind => [...byKind.get(kind).values()]);
+  const selected = [];
+  
+  while (selected.length < limit && kinds.length > 0) {
+    for (let i = 0; i < kinds.length && selected.length < limit; i++) {
+      const sourceQueue = kinds[i];
+      const sourceList = sourceQueue.shift();
+      selected.push(sourceList.shift());
+      
+      // Rotate the source to the back of its kind's queue while it has candidates left
+      if (sourceList.length > 0) sourceQueue.push(sourceList);
+    }
+    
+    // Drop exhausted kinds
+    for (let i = kinds.length - 1; i >= 0; i--) {
+      if (kinds[i].length === 0) kinds.splice(i, 1);
+    }
   }
   
+  return selected;
+}
+
+// =========================================================
+// MAIN HARVEST FUNCTION
+// =========================================================
+
+// Pagination remembers served candidates, not positions: source pools
+// refresh between pages, so an offset would point into a different ordering.
+// Ids are carried as short hashes, most recent MAX_SEEN_IDS only; 100 ids
+// (five pages at the max limit of 20) keep a /api/candidates cursor under 1 KB
+const SEEN_HASH_LENGTH = 6;
+const MAX_SEEN_IDS = 100;
+
+// Short base64url hash of a candidate id, as kept in `seen`
+function seenHash(id) {
+  return crypto.createHash('sha1').update(String(id)).digest('base64url').slice(0, SEEN_HASH_LENGTH);
+}
+
+/**
+ * Harvest licensed candidates from specified surfaces
+ * @param {string[]} surfaces - Array of surface types to fetch
+ * @param {number} limit - Max candidates per source
+ * @param {Object} [options]
+ * @param {string} [options.seed] - Makes selection deterministic for a given candidate pool
+ * @param {string[]} [options.seen] - seenHash()es of candidates served on earlier pages (pagination)
+ * @param {string[]} [options.exclude] - Candidate ids never to return (e.g. recently shown)
+ * @returns {Promise<{img: LicensedCandidate[], lnk: LicensedCandidate[], cache: Object, next: {seen: string[]}|null}>}
+ *   next carries `seen` for the following page; null once both pools are exhausted
+ */
+async function harvestCandidates(surfaces = ['space', 'art', 'culture', 'tech'], limit = 5, { seed, seen = [], exclude = [] } = {}) {
+  const allImages = [];
+  const allLinks = [];
+  
+  // Resolve surfaces through the source registry (sources missing keys are skipped)
+  const fetchers = getSourcesForSurfaces(surfaces)
+    .filter(isSourceEnabled)
+    .map(source => {
+      const sourceLimit = scaleSourceLimit(source, limit);
+      return cachedFetch(source.id, sourceLimit, () => executeSource(source, sourceLimit));
+    });
+  
   // Execute all fetchers in parallel
   const results = await Promise.allSettled(fetchers);
+  const cache = {};
   
   for (const result of results) {
     if (result.status === 'fulfilled') {
-      for (const candidate of result.value) {
+      const { sourceId, status, age, candidates } = result.value;
+      cache[sourceId] = { status, age: Math.round(age / 1000), n: candidates.length };
+      
+      for (const candidate of candidates) {
         // Filter out unsafe content
         if (!candidate.safe) continue;
         
-        // VALIDATE required fields - skip malformed candidates
-        if (!candidate.id || !candidate.u || !candidate.k || !candidate.ttl || !candidate.src || !candidate.lic) {
-          console.warn('Skipping malformed candidate:', candidate.id || 'unknown');
+        // VALIDATE against the image or link schema - skip malformed candidates
+        const { pool, errors } = validateCandidate(candidate);
+        if (errors.length > 0) {
+          console.warn('Skipping malformed candidate:', candidate.id || 'unknown', errors.join(','));
           continue;
         }
         
         // Separate image candidates from link candidates
-        if (candidate.k === 'link' || !RENDER_ALLOWED_LICENSES.includes(candidate.lic)) {
+        if (pool === 'lnk') {
           allLinks.push(candidate);
         } else {
           allImages.push(candidate);
@@ -635,22 +1497,62 @@ async function harvestCandidates(surfaces = ['space', 'art', 'culture', 'tech'],
     }
   }
   
-  // Shuffle and limit
+  // De-duplicate across sources, then order the whole pool so that any
+  // window of it is balanced across kinds and sources
+  const random = seed !== undefined ? createRandom(seed) : Math.random;
+  const imgPool = selectDiverse(dedupeCandidates(allImages), Infinity, random);
+  const lnkPool = selectDiverse(dedupeCandidates(allLinks), Infinity, random);
+  
+  const excluded = new Set(exclude);
+  const seenSet = new Set(seen);
+  const isUnseen = candidate => !excluded.has(candidate.id) && !seenSet.has(seenHash(candidate.id));
+  const img = takePage(imgPool, limit * 2, isUnseen);
+  const lnk = takePage(lnkPool, limit, isUnseen);
+  const served = [...img.items, ...lnk.items].map(candidate => seenHash(candidate.id));
+  
   return {
-    img: shuffle(allImages).slice(0, limit * 2),
-    lnk: shuffle(allLinks).slice(0, limit)
+    img: img.items,
+    lnk: lnk.items,
+    cache,
+    next: img.more || lnk.more ? { seen: [...seen, ...served].slice(-MAX_SEEN_IDS) } : null
   };
 }
 
-function shuffle(array) {
+// First `size` candidates passing `keep`, in pool order; more is true if any others pass too
+function takePage(pool, size, keep) {
+  const remaining = pool.filter(keep);
+  return { items: remaining.slice(0, size), more: remaining.length > size };
+}
+
+function shuffle(array, random = Math.random) {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
+/**
+ * Seeded PRNG (mulberry32 over a 32-bit FNV-1a hash of the seed)
+ * @param {string|number} seed
+ * @returns {function(): number} Uniform [0, 1) generator
+ */
+function createRandom(seed) {
+  let state = 0x811c9dc5;
+  for (const char of String(seed)) {
+    state ^= char.charCodeAt(0);
+    state = Math.imul(state, 0x01000193);
+  }
+  
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 // =========================================================
 // EXPORTS
 // =========================================================
@@ -660,6 +1562,24 @@ module.exports = {
   RENDER_ALLOWED_LICENSES,
   ATTRIBUTION_REQUIRED,
   harvestCandidates,
+  MAX_SEEN_IDS,
+  seenHash,
+  validateCandidate,
+  rightsToString,
+  dedupeCandidates,
+  selectDiverse,
+  createRandom,
+  clearCandidateCache,
+  registerSource,
+  runSource,
+  getSource,
+  listSources,
+  isSourceEnabled,
+  getBreakerStates,
+  getSourceHealth,
+  onSourceRun,
+  fetchJSON,
+  fetchText,
   fetchNASAAPOD,
   fetchNASAEPIC,
   fetchMetMuseum,
@@ -668,5 +1588,8 @@ module.exports = {
   fetchEuropeana,
   fetchUnsplash,
   fetchHackerNews,
-  fetchWikimediaCommons
+  fetchWikimediaCommons,
+  fetchLobsters,
+  fetchArxiv,
+  parseFeed
 };